@@ -14,13 +14,41 @@ const { createTransform, createRenderableMetadata, createTriggerZone } =
 // Note: Collectibles now use trigger zones instead of physics bodies
 // for simpler and more reliable trigger detection
 
+/**
+ * The template shared by every collectible. Each spawn gets its own copy.
+ */
+export const collectiblePrefab = {
+  // --- TAG ---
+  isCollectible: true,
+
+  // --- DATA ---
+  transform: createTransform(),
+  triggerZone: createTriggerZone("collectible", 1.0), // 1 unit trigger radius
+  renderable: createRenderableMetadata(
+    "procedural",
+    {
+      type: "sphere",
+      radius: 0.5,
+      segments: 16,
+    },
+    {
+      type: "standard",
+      color: 0xffff00, // Yellow
+      emissive: 0xffff00,
+      emissiveIntensity: 0.3,
+    }
+  ),
+};
+
 /**
  * Creates and places collectible entities in the world.
  * @param {World} world - ECS world instance.
  * @param {Object} dependencies - Required dependencies from the engine.
+ * @param {GameSystems} engine - The engine, for spawning prefabs.
  */
-export function setupCollectibles(world, { terrain }) {
+export function setupCollectibles(world, { terrain }, engine) {
   // Note: No physics factory needed - using trigger zones instead
+  engine.definePrefab("collectible", collectiblePrefab);
 
   // Simple demo: Create 3 collectibles near player spawn
   const collectiblePositions = [
@@ -29,7 +57,7 @@ export function setupCollectibles(world, { terrain }) {
     { x: -28, z: -6 },
   ];
 
-  collectiblePositions.forEach((pos, index) => {
+  collectiblePositions.forEach((pos) => {
     // Calculate terrain height at this position
     const terrainHeight = terrain
       ? terrain.getTerrainHeightAt(pos.x, pos.z)
@@ -39,27 +67,8 @@ export function setupCollectibles(world, { terrain }) {
       1.0
     );
 
-    world.add({
-      // --- TAG ---
-      isCollectible: true,
-
-      // --- DATA ---
-      transform: createTransform(new THREE.Vector3(pos.x, spawnY, pos.z)),
-      triggerZone: createTriggerZone("collectible", 1.0), // 1 unit trigger radius
-      renderable: createRenderableMetadata(
-        "procedural",
-        {
-          type: "sphere",
-          radius: 0.5,
-          segments: 16,
-        },
-        {
-          type: "standard",
-          color: 0xffff00, // Yellow
-          emissive: 0xffff00,
-          emissiveIntensity: 0.3,
-        }
-      ),
+    engine.spawn("collectible", {
+      transform: { position: new THREE.Vector3(pos.x, spawnY, pos.z) },
     });
   });
 
@@ -22,10 +22,9 @@ export const GAME_CONFIG = {
   CAMERA: {
     MIN_DISTANCE: 1,
     MAX_DISTANCE: 15,
-    INITIAL_DISTANCE: 8,
-    INITIAL_HEIGHT: 5,
-    DAMPING_FACTOR: 0.05,
-    LOOK_HEIGHT_OFFSET: 1, // How high above player to look
+    FOV: 75,
+    NEAR: 0.1,
+    FAR: 2000,
     SMOOTH_TIME: 0,
     INITIAL_OFFSET: { x: 0, y: 5, z: 8 },
     LOOK_OFFSET: { x: 0, y: 1, z: 0 },
@@ -43,7 +42,11 @@ export const GAME_CONFIG = {
   // Physics settings
   PHYSICS: {
     GRAVITY: { x: 0.0, y: -9.81, z: 0.0 },
-    CHARACTER_CONTROLLER_OFFSET: 0.1,
+  },
+
+  // Player character controller settings
+  CHARACTER_CONTROLLER: {
+    OFFSET: 0.1,
     AUTO_STEP_HEIGHT: 0.5,
     AUTO_STEP_MIN_WIDTH: 0.1,
     SNAP_TO_GROUND_DISTANCE: 0.5,
@@ -116,9 +119,6 @@ export const GAME_CONFIG = {
   // Scene settings
   SCENE: {
     BACKGROUND_COLOR: 0x87ceeb,
-    FOV: 75,
-    NEAR: 0.1,
-    FAR: 2000,
   },
 
   // Asset management
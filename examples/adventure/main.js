@@ -11,9 +11,9 @@
 import { GAME_CONFIG } from "./config.js";
 import { engine } from "roseblox-game-engine";
 
-// Import game-specific setup functions. These now handle their own factory registrations.
-import { setupGamePlayer } from "./playerSetup.js";
-import { setupGameTerrain } from "./terrainSetup.js";
+// Import game-specific plugins and setup functions.
+import { playerPlugin } from "./playerSetup.js";
+import { terrainPlugin } from "./terrainSetup.js";
 import { setupCollectibles } from "./collectibleSetup.js";
 import { setupCollisionTests } from "./collisionTestSetup.js";
 import {
@@ -22,28 +22,19 @@ import {
 } from "./debugCoordinateSystem.js";
 
 // Import game-specific runtime systems
-import { playerMovementSystem } from "./playerMovementSystem.js";
 import { collectibleSystemSetup } from "./collectibleSystem.js";
 
 async function main(canvas) {
-  // Register game-specific setup logic. These functions will register factories
-  // and create the initial game entities.
-  engine.registerSetup("game-terrain-setup", {
-    dependencies: ["physics", "renderer"],
-    init: (world, dependencies) => {
-      const terrainResource = setupGameTerrain(world, dependencies);
-      engine.addResource("terrain", terrainResource);
-    },
-  });
-
-  engine.registerSetup("game-player-setup", {
-    dependencies: ["physics", "renderer", "assets", "terrain"], // Add terrain dependency
-    init: (world, deps) => setupGamePlayer(world, deps, GAME_CONFIG),
-  });
+  // Install the terrain and player features. Each plugin registers its own
+  // factories, setup logic and systems.
+  engine.use(terrainPlugin);
+  engine.use(playerPlugin);
 
+  // Register the remaining game-specific setup logic.
   engine.registerSetup("game-collectible-setup", {
     dependencies: ["terrain"],
-    init: (world, deps) => setupCollectibles(world, deps),
+    init: (world, deps, config, engine) =>
+      setupCollectibles(world, deps, engine),
   });
 
   engine.registerSetup("collision-test-setup", {
@@ -61,16 +52,11 @@ async function main(canvas) {
     init: (world, deps) => setupDebugCoordinateDisplay(world, GAME_CONFIG),
   });
 
-  // Register game-specific runtime systems with their priorities.
-  engine.registerSystem("player-movement", {
-    update: (world, _, dt) => playerMovementSystem(world, dt),
-    priority: 30, // Same priority as before to ensure correct execution order
-  });
-
+  // Register game-specific runtime systems in their update stages.
   engine.registerSystem("debug-coordinates", {
     dependencies: ["terrain"],
     update: (world, { terrain }) => debugCoordinateSystem(world, terrain),
-    priority: 999, // Run last for debug display
+    stage: "render", // Debug display runs with the other overlays, after the camera
   });
 
   // Initialize the engine with the game's configuration and the canvas.
@@ -7,6 +7,7 @@
 import * as THREE from "three";
 import { CoreComponents } from "roseblox-game-engine";
 import { GAME_CONFIG } from "./config.js";
+import { playerMovementSystem } from "./playerMovementSystem.js";
 
 const {
   createCameraDirection,
@@ -94,19 +95,21 @@ function gamePlayerBodyFactory(entity, { physicsWorld, RAPIER }) {
 
   // The character controller is tightly coupled to the player body
   const controller = physicsWorld.createCharacterController(
-    GAME_CONFIG.PHYSICS.CHARACTER_CONTROLLER_OFFSET
+    GAME_CONFIG.CHARACTER_CONTROLLER.OFFSET
   );
   controller.enableAutostep(
-    GAME_CONFIG.PHYSICS.AUTO_STEP_HEIGHT,
-    GAME_CONFIG.PHYSICS.AUTO_STEP_MIN_WIDTH,
+    GAME_CONFIG.CHARACTER_CONTROLLER.AUTO_STEP_HEIGHT,
+    GAME_CONFIG.CHARACTER_CONTROLLER.AUTO_STEP_MIN_WIDTH,
     true
   );
-  controller.enableSnapToGround(GAME_CONFIG.PHYSICS.SNAP_TO_GROUND_DISTANCE);
+  controller.enableSnapToGround(
+    GAME_CONFIG.CHARACTER_CONTROLLER.SNAP_TO_GROUND_DISTANCE
+  );
   controller.setMaxSlopeClimbAngle(
-    (GAME_CONFIG.PHYSICS.MAX_SLOPE_CLIMB_ANGLE * Math.PI) / 180
+    (GAME_CONFIG.CHARACTER_CONTROLLER.MAX_SLOPE_CLIMB_ANGLE * Math.PI) / 180
   );
   controller.setMinSlopeSlideAngle(
-    (GAME_CONFIG.PHYSICS.MIN_SLOPE_SLIDE_ANGLE * Math.PI) / 180
+    (GAME_CONFIG.CHARACTER_CONTROLLER.MIN_SLOPE_SLIDE_ANGLE * Math.PI) / 180
   );
   controller.setApplyImpulsesToDynamicBodies(true);
 
@@ -116,17 +119,13 @@ function gamePlayerBodyFactory(entity, { physicsWorld, RAPIER }) {
 
 /**
  * Standardized player setup function.
- * This function is now responsible for two things:
- * 1. Registering any player-specific factories with the engine.
- * 2. Creating the initial player entity with its declarative components.
+ * Creates the initial player entity with its declarative components.
+ * The player's body factory is registered by `playerPlugin`.
  * @param {World} world - ECS world instance.
  * @param {Object} dependencies - Required dependencies from the engine.
  */
-export function setupGamePlayer(world, { physics, terrain }) {
-  // 1. Register the factory with the engine's physics resource.
-  physics.registerBodyFactory("isPlayer", gamePlayerBodyFactory);
-
-  // 2. Define the initial spawn position, calculating height from terrain.
+export function setupGamePlayer(world, { terrain }) {
+  // 1. Define the initial spawn position, calculating height from terrain.
   const spawnPos = GAME_CONFIG.PLAYER.SPAWN_POSITION;
 
   // Use the terrain resource to get proper height
@@ -140,7 +139,7 @@ export function setupGamePlayer(world, { physics, terrain }) {
 
   const initialPosition = new THREE.Vector3(spawnPos.x, spawnY, spawnPos.z);
 
-  // 3. Create the player entity declaratively.
+  // 2. Create the player entity declaratively.
   const playerEntity = world.add({
     // --- TAGS ---
     isPlayer: true, // This is the key the factory was registered with.
@@ -177,7 +176,7 @@ export function setupGamePlayer(world, { physics, terrain }) {
     stateMachine: createStateMachine(playerStateMachineDefinition),
   });
 
-  // 4. Create the player's aura
+  // 3. Create the player's aura
   world.add({
     isAura: true,
     parent: playerEntity,
@@ -197,3 +196,26 @@ export function setupGamePlayer(world, { physics, terrain }) {
     ),
   });
 }
+
+/**
+ * The player and its character controller packaged as an engine plugin.
+ * It spawns on the terrain, so it requires the terrain plugin.
+ */
+export const playerPlugin = {
+  name: "adventure-player",
+  dependencies: ["adventure-terrain"],
+  bodyFactories: { isPlayer: gamePlayerBodyFactory },
+  setups: {
+    "game-player-setup": {
+      dependencies: ["terrain"],
+      init: (world, deps) => setupGamePlayer(world, deps),
+    },
+  },
+  systems: {
+    "player-movement": {
+      update: (world, _, dt) => playerMovementSystem(world, dt),
+      stage: "preUpdate", // Calculate velocities before the physics simulation
+      fixed: true, // Feeds the physics step, so it must run on the fixed timestep
+    },
+  },
+};
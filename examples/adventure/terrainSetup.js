@@ -139,25 +139,22 @@ function createCollisionGeometry(terrainData) {
 
 /**
  * Standardized terrain setup function. This now returns a resource object.
+ * The terrain's body and mesh factories are registered by `terrainPlugin`.
  * @param {World} world - ECS world instance
- * @param {Object} dependencies - Required dependencies
  * @returns {Object} The terrain resource to be registered with the engine.
  */
-export function setupGameTerrain(world, { physics, renderer }) {
-  // 1. Register the custom factories
-  physics.registerBodyFactory("isTerrain", gameTerrainColliderFactory);
-  renderer.registerMeshFactory("instancedTerrain", gameInstancedMeshFactory);
-
-  // 2. Generate the core terrain data
+export function setupGameTerrain(world) {
+  // 1. Generate the core terrain data
   const terrainData = new TerrainData();
   TerrainDataGenerator.generate(terrainData, {});
 
-  // 3. Create the collision geometry
+  // 2. Create the collision geometry
   const collisionGeometry = createCollisionGeometry(terrainData);
 
-  // 4. Create a single terrain entity
+  // 3. Create a single terrain entity
   world.add({
     isTerrain: { terrainData, collisionGeometry }, // Pass geometry to the factory
+    excludeFromSave: true, // Regenerated by this setup on every start
     renderable: {
       type: "instancedTerrain",
       needsMesh: true,
@@ -165,10 +162,28 @@ export function setupGameTerrain(world, { physics, renderer }) {
     },
   });
 
-  // 5. Return the terrain resource object for other systems to use
+  // 4. Return the terrain resource object for other systems to use
   return {
     terrainData,
     getTerrainHeightAt: (worldX, worldZ) =>
       TerrainUtils.getTerrainHeightAt(terrainData, worldX, worldZ),
   };
 }
+
+/**
+ * The terrain packaged as an engine plugin: its factories, and the setup
+ * system that creates the terrain entity and the `terrain` resource.
+ */
+export const terrainPlugin = {
+  name: "adventure-terrain",
+  bodyFactories: { isTerrain: gameTerrainColliderFactory },
+  meshFactories: { instancedTerrain: gameInstancedMeshFactory },
+  setups: {
+    "game-terrain-setup": {
+      provides: ["terrain"],
+      init: (world, dependencies, config, engine) => {
+        engine.addResource("terrain", setupGameTerrain(world));
+      },
+    },
+  },
+};
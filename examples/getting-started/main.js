@@ -1,7 +1,8 @@
 import { engine, CoreComponents } from "roseblox-game-engine";
 import * as THREE from "three";
 
-const { createTransform, createRenderableMetadata } = CoreComponents;
+const { createTransform, createRenderableMetadata, markTransformChanged } =
+  CoreComponents;
 
 // Register a setup system to create our scene
 engine.registerSetup("create-scene", {
@@ -10,6 +11,7 @@ engine.registerSetup("create-scene", {
     // Create a ground plane
     world.add({
       transform: createTransform(new THREE.Vector3(0, -0.5, 0)),
+      isStatic: true, // The ground never moves, so skip syncing it every frame
       renderable: createRenderableMetadata(
         "procedural",
         { type: "box", width: 20, height: 1, depth: 20 },
@@ -55,14 +57,16 @@ engine.registerSystem("position-camera-once", {
 });
 
 // Register a runtime system to rotate cubes
+const spin = new THREE.Quaternion();
+const up = new THREE.Vector3(0, 1, 0);
 engine.registerSystem("rotate-cubes", {
   dependencies: [],
   update: (world, dependencies, deltaTime) => {
     // Rotate all cubes (not the ground)
-    for (const entity of world.with("renderable", "transform")) {
-      if (entity.renderable.mesh && entity.transform.position.y > 0) {
-        entity.renderable.mesh.rotation.y += deltaTime;
-      }
+    spin.setFromAxisAngle(up, deltaTime);
+    for (const entity of world.with("transform").without("isStatic")) {
+      entity.transform.rotation.premultiply(spin);
+      markTransformChanged(entity.transform);
     }
   },
   priority: 50,
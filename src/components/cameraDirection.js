@@ -28,3 +28,18 @@ export function createCameraDirection(
     right: right.clone(),
   };
 }
+
+/**
+ * Saves a camera direction as plain arrays and restores it with `createCameraDirection`.
+ */
+export const cameraDirectionSerializer = {
+  serialize: (direction) => ({
+    forward: direction.forward.toArray(),
+    right: direction.right.toArray(),
+  }),
+  deserialize: (data) =>
+    createCameraDirection(
+      new THREE.Vector3().fromArray(data.forward),
+      new THREE.Vector3().fromArray(data.right)
+    ),
+};
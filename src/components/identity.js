@@ -0,0 +1,11 @@
+/**
+ * @typedef {number|string} id - Identity component
+ * @description A unique id the engine assigns to every entity when it is added to the world.
+ * Entities added with their own `id` keep it. Look entities up with `engine.findEntityById()`.
+ */
+
+/**
+ * @typedef {string} name - Identity component
+ * @description An optional human-readable name, e.g. `"player"` or `"door-1"`.
+ * Look entities up with `engine.findEntityByName()`.
+ */
@@ -39,3 +39,24 @@ export function createMovementState(
     speed,
   };
 }
+
+/**
+ * Saves a movement state as plain data and restores it with `createMovementState`.
+ */
+export const movementStateSerializer = {
+  serialize: (state) => ({
+    velocity: state.velocity.toArray(),
+    direction: state.direction.toArray(),
+    grounded: state.grounded,
+    verticalVelocity: state.verticalVelocity,
+    speed: state.speed,
+  }),
+  deserialize: (data) =>
+    createMovementState(
+      new THREE.Vector3().fromArray(data.velocity),
+      new THREE.Vector3().fromArray(data.direction),
+      data.grounded,
+      data.verticalVelocity,
+      data.speed
+    ),
+};
@@ -17,12 +17,20 @@ import * as THREE from "three";
  * The `sceneManagementSystem` uses this component to create and add a `THREE.Mesh` to the entity.
  * This component signals that an entity is "renderable" and specifies how to construct its visual representation.
  *
+ * The `procedural` factory supports these geometry types, with the parameters of the matching THREE.js geometry:
+ * `box`, `sphere`, `capsule`, `cylinder`, `cone`, `plane`, `torus`, `ring`, `icosahedron`, `extrude`
+ * (`shape` and `holes` as arrays of `[x, y]` points), `lathe` (`points`) and `buffer` (raw `attributes` and `index`).
+ * Its material types are `standard`, `physical`, `basic`, `phong`, `lambert`, `toon` and `normal`; texture slots
+ * such as `map` or `normalMap` take the asset key of a preloaded texture, and `side` may be `'front'`, `'back'` or `'double'`.
+ *
  * @param {string} type - The type of mesh to create. Must match a registered mesh factory (e.g., 'procedural').
  * @param {object} geometry - The description of the mesh's geometry (e.g., `{ type: 'capsule', radius: 0.5, height: 2 }`).
  * @param {object} material - The description of the mesh's material (e.g., `{ type: 'standard', color: 0xff0000 }`).
  * @param {boolean} [castShadow=true] - Whether this mesh should cast shadows.
  * @param {boolean} [receiveShadow=true] - Whether this mesh should receive shadows.
- * @param {Array|null} [children=null] - Optional array of child mesh specifications.
+ * @param {Array|null} [children=null] - Optional parts built into a single `THREE.Group` with this mesh. Each child has a
+ *   `geometry`, an optional `material` (this one by default), a local `position`, `rotation` (Euler angles in radians)
+ *   and `scale` as `[x, y, z]` arrays or `{x, y, z}` objects (`scale` may be a number), and optional `children`.
  * @returns {Renderable} A renderable component for a procedural mesh.
  * @example
  * const renderable = createRenderableMetadata('procedural',
@@ -30,6 +38,20 @@ import * as THREE from "three";
  *   { type: 'standard', color: 'red' }
  * );
  * world.add(entity, { renderable });
+ *
+ * const trunk = createRenderableMetadata('procedural',
+ *   { type: 'cylinder', radiusTop: 0.2, radiusBottom: 0.3, height: 3 },
+ *   { type: 'lambert', map: 'textures/bark' }
+ * );
+ *
+ * // A lamp post: a pole with a glowing head on top
+ * const lampPost = createRenderableMetadata('procedural',
+ *   { type: 'cylinder', radius: 0.1, height: 3 },
+ *   { type: 'standard', color: 0x333333 },
+ *   true,
+ *   true,
+ *   [{ geometry: { type: 'sphere', radius: 0.3 }, material: { type: 'basic', color: 'yellow' }, position: [0, 1.6, 0] }]
+ * );
  */
 export function createRenderableMetadata(
   type,
@@ -57,10 +79,12 @@ export function createRenderableMetadata(
 
 /**
  * Creates the metadata for a mesh that will be loaded from a GLTF asset.
- * The `sceneManagementSystem` uses this component to clone a pre-loaded GLTF model and attach it to the entity.
+ * The `sceneManagementSystem` uses this component to clone a loaded GLTF model and attach it to the entity.
+ * If the model is still loading, the mesh appears once it has loaded.
  *
- * @param {string} assetKey - The unique key of the GLTF asset, as defined in the `assets` configuration during engine initialization.
+ * @param {string} assetKey - The unique key of the GLTF asset, as defined in the `assets` configuration or passed to `assets.load()`.
  * @param {object} [options={}] - Optional configuration for the GLTF instance.
+ * @param {string} [options.url] - Where to load the model from if no asset is loaded under `assetKey`.
  * @param {number} [options.scale=1.0] - A uniform scale factor to apply to the model.
  * @param {{x: number, y: number, z: number}} [options.position={x:0,y:0,z:0}] - A local position offset for the model relative to its parent entity.
  * @param {{x: number, y: number, z: number}} [options.rotation={x:0,y:0,z:0}] - A local rotation offset (in radians) for the model.
@@ -70,9 +94,13 @@ export function createRenderableMetadata(
  * @example
  * const gltfRenderable = createGLTFRenderable('player-character', { scale: 2.0 });
  * world.add(entity, { renderable: gltfRenderable });
+ *
+ * // Streamed in when first needed
+ * createGLTFRenderable('boss', { url: '/models/boss.glb' });
  */
 export function createGLTFRenderable(assetKey, options = {}) {
   const {
+    url,
     scale = 1.0,
     position = { x: 0, y: 0, z: 0 },
     rotation = { x: 0, y: 0, z: 0 },
@@ -80,7 +108,7 @@ export function createGLTFRenderable(assetKey, options = {}) {
     receiveShadow = true,
   } = options;
 
-  return {
+  const renderable = {
     type: "gltf",
     needsMesh: true,
     assetKey,
@@ -90,4 +118,20 @@ export function createGLTFRenderable(assetKey, options = {}) {
     castShadow,
     receiveShadow,
   };
+
+  if (url) {
+    renderable.url = url;
+  }
+
+  return renderable;
 }
+
+/**
+ * Saves a renderable's description without its mesh. A restored renderable has
+ * `needsMesh` set, so the `sceneManagementSystem` builds its mesh again.
+ */
+export const renderableSerializer = {
+  serialize: ({ mesh, needsMesh, ...description }, { encode }) =>
+    encode(description),
+  deserialize: (data, { decode }) => ({ ...decode(data), needsMesh: true }),
+};
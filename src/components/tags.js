@@ -7,3 +7,9 @@
  * @typedef {Object} isCameraFollowTarget - Tag component
  * @description Signals to the camera system which entity to track.
  */
+
+/**
+ * @typedef {Object} isStatic - Tag component
+ * @description Marks scenery that never moves. Its mesh is placed once and skipped by the per-frame transform sync;
+ *   call `markTransformChanged` on its transform to move it anyway.
+ */
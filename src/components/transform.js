@@ -5,12 +5,14 @@ import * as THREE from "three";
  * @property {THREE.Vector3} position - World position vector
  * @property {THREE.Quaternion} rotation - Rotation quaternion
  * @property {THREE.Vector3} scale - Scale vector
+ * @property {number} [version] - Incremented by `markTransformChanged`, so systems can skip unchanged transforms
  */
 
 /**
  * Creates a transform component, which holds the position, rotation, and scale of an entity in 3D space.
  * This is a fundamental component for any entity that exists visually in the world.
  * The physics simulation is the source of truth for this component's data; do not modify it directly.
+ * Entities without a physics body may be moved by changing the transform in place.
  *
  * @param {THREE.Vector3} [position=new THREE.Vector3(0, 0, 0)] - The initial position of the entity.
  * @param {THREE.Quaternion} [rotation=new THREE.Quaternion(0, 0, 0, 1)] - The initial rotation of the entity.
@@ -32,3 +34,39 @@ export function createTransform(
     scale: scale.clone(),
   };
 }
+
+/**
+ * Records that a transform was changed in place, so the change is synced to the entity's mesh.
+ * The engine's own systems do this for the transforms they write (physics bodies, children of a `parent`).
+ *
+ * Once a transform has a version, `transformSync` skips it until the version changes, so mark every
+ * later edit too. Transforms that were never marked are compared with their mesh by value every frame
+ * instead, except on entities tagged `isStatic`, which are only placed again after being marked.
+ *
+ * @param {Transform} transform - The changed transform.
+ * @returns {Transform} The same transform.
+ * @example
+ * ground.transform.position.y = -1;
+ * markTransformChanged(ground.transform);
+ */
+export function markTransformChanged(transform) {
+  transform.version = (transform.version ?? 0) + 1;
+  return transform;
+}
+
+/**
+ * Saves a transform as plain arrays and restores it with `createTransform`.
+ */
+export const transformSerializer = {
+  serialize: (transform) => ({
+    position: transform.position.toArray(),
+    rotation: transform.rotation.toArray(),
+    scale: transform.scale.toArray(),
+  }),
+  deserialize: (data) =>
+    createTransform(
+      new THREE.Vector3().fromArray(data.position),
+      new THREE.Quaternion().fromArray(data.rotation),
+      new THREE.Vector3().fromArray(data.scale)
+    ),
+};
@@ -28,4 +28,16 @@ export function createTriggerZone(type = "generic", radius = 1.0) {
     radius,
     currentlyInside: new Set() // Track entity IDs currently inside this trigger zone
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Saves a trigger zone without the set of entities currently inside it,
+ * which is rebuilt by the trigger detection system
+ */
+export const triggerZoneSerializer = {
+  serialize: ({ currentlyInside, ...zone }) => zone,
+  deserialize: (data) => ({
+    ...data,
+    currentlyInside: new Set()
+  })
+};
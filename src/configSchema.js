@@ -0,0 +1,576 @@
+/**
+ * @module ConfigSchema
+ * @description
+ * The schema of every engine section of the game config, with typed defaults.
+ *
+ * `engine.init()` resolves the config passed to it against this schema: missing values are
+ * filled in with their defaults, and wrong types, out-of-range values and misspelled engine sections
+ * are reported together, each with its path. Top-level keys that are not engine sections (e.g.
+ * `PLAYER`, `TERRAIN`) belong to the game and are passed through untouched. Unknown keys inside an
+ * engine section (e.g. `CAMERA.MIN_DISTNCE`, or a game's own `PHYSICS.AUTO_STEP_HEIGHT`) are kept
+ * as well, with a warning that suggests the engine key they may have meant.
+ *
+ * `engine.updateConfig()` merges a partial config over the resolved one and resolves it again.
+ * Settings marked `restart` are read only while the engine initializes and cannot change afterwards.
+ */
+
+export const DEFAULT_FIXED_TIMESTEP = 1 / 60;
+export const DEFAULT_MAX_SUBSTEPS = 5;
+// Longer steps make physics unstable; a larger value is most likely milliseconds given as seconds
+export const MAX_FIXED_TIMESTEP = 0.25;
+
+/**
+ * What happens when a runtime system throws:
+ * - `log-once`: log the first failure of a streak and keep running the system.
+ * - `disable`: like `log-once`, but disable the system after `maxFailures` consecutive failures.
+ * - `halt`: stop the game loop on the first failure.
+ */
+export const ERROR_POLICIES = ["log-once", "disable", "halt"];
+export const DEFAULT_ERROR_POLICY = "log-once";
+export const DEFAULT_MAX_FAILURES = 3;
+
+/**
+ * What happens to the children of an entity removed from the world:
+ * - `destroy`: they are removed too, and so are their own children.
+ * - `detach`: they lose their `parent` and stay where they are.
+ */
+export const PARENT_REMOVAL_POLICIES = ["destroy", "detach"];
+export const DEFAULT_PARENT_REMOVAL_POLICY = "destroy";
+
+/**
+ * Asset loaders, chosen by an asset's `type` or else by its file extension:
+ * - `gltf`: `.gltf`/`.glb` models.
+ * - `texture`: `.png`, `.jpg`, `.jpeg`, `.webp`, `.gif` and `.avif` images.
+ * - `cubemap`: six images given as `urls` (+x, -x, +y, -y, +z, -z).
+ * - `hdr`/`exr`: equirectangular `.hdr`/`.exr` environment maps.
+ * - `json`: `.json` data, e.g. prefab files.
+ */
+export const ASSET_TYPES = ["gltf", "texture", "cubemap", "hdr", "exr", "json"];
+export const TEXTURE_COLOR_SPACES = ["srgb", "linear", "none"];
+export const TEXTURE_WRAP_MODES = ["clamp", "repeat", "mirror"];
+
+const vector3 = (x, y, z) => ({
+  type: "object",
+  properties: {
+    x: { type: "number", default: x },
+    y: { type: "number", default: y },
+    z: { type: "number", default: z },
+  },
+});
+
+/**
+ * Engine config sections. Each entry is either a value (`type`, `default`, optional `enum`, `min`,
+ * `exclusiveMin` and `max`), a section with `properties`, a free-form `object`, or an `array` of
+ * `items`. Entries marked `restart` cannot be changed with `engine.updateConfig()`.
+ */
+export const CONFIG_SCHEMA = {
+  canvas: { type: "any", restart: true },
+  headless: { type: "boolean", default: false, restart: true },
+  DEBUG: { type: "boolean", default: false, restart: true },
+  // The overlay shown during init(): omitted for the built-in one, false for none,
+  // or an object with show(), update(progress) and hide() methods
+  loadingScreen: { type: "any", restart: true },
+  LOOP: {
+    type: "object",
+    properties: {
+      FIXED_TIMESTEP: {
+        type: "number",
+        default: DEFAULT_FIXED_TIMESTEP,
+        exclusiveMin: 0,
+        max: MAX_FIXED_TIMESTEP,
+      },
+      MAX_SUBSTEPS: { type: "number", default: DEFAULT_MAX_SUBSTEPS, min: 1 },
+    },
+  },
+  SYSTEM_ERRORS: {
+    type: "object",
+    properties: {
+      POLICY: {
+        type: "string",
+        enum: ERROR_POLICIES,
+        default: DEFAULT_ERROR_POLICY,
+      },
+      MAX_FAILURES: { type: "number", default: DEFAULT_MAX_FAILURES, min: 1 },
+    },
+  },
+  PROFILER: {
+    type: "object",
+    properties: {
+      ENABLED: { type: "boolean", default: false, restart: true },
+      OVERLAY: { type: "boolean", default: false, restart: true },
+      HISTORY_SIZE: { type: "number", default: 120, min: 1 },
+    },
+  },
+  RENDERER: {
+    type: "object",
+    properties: {
+      ANTIALIAS: { type: "boolean", default: true, restart: true },
+    },
+  },
+  SCENE: {
+    type: "object",
+    properties: {
+      BACKGROUND_COLOR: { type: "number", default: 0x000000 },
+    },
+  },
+  CAMERA: {
+    type: "object",
+    properties: {
+      FOV: { type: "number", default: 75 },
+      NEAR: { type: "number", default: 0.1 },
+      FAR: { type: "number", default: 2000 },
+      MIN_DISTANCE: { type: "number", default: 1 },
+      MAX_DISTANCE: { type: "number", default: 15 },
+      SMOOTH_TIME: { type: "number", default: 0 },
+      INITIAL_OFFSET: vector3(0, 5, 8),
+      LOOK_OFFSET: vector3(0, 1, 0),
+      POINTER_LOCK: {
+        type: "object",
+        properties: {
+          ENABLED: { type: "boolean", default: false },
+          TRIGGER: {
+            type: "string",
+            enum: ["click", "keydown", "manual"],
+            default: "click",
+          },
+          RELEASE: {
+            type: "string",
+            enum: ["esc", "keyup", "manual"],
+            default: "esc",
+          },
+        },
+      },
+      MOUSE_SENSITIVITY: {
+        type: "object",
+        properties: {
+          LOOK: { type: "number", default: 1.0 },
+          ZOOM: { type: "number", default: 1.0 },
+        },
+      },
+    },
+  },
+  LIGHTING: {
+    type: "object",
+    properties: {
+      AMBIENT_COLOR: { type: "number", default: 0xffffff },
+      AMBIENT_INTENSITY: { type: "number", default: 0.4, min: 0 },
+      DIRECTIONAL_COLOR: { type: "number", default: 0xffffff },
+      DIRECTIONAL_INTENSITY: { type: "number", default: 0.8, min: 0 },
+      DIRECTIONAL_POSITION: vector3(50, 100, 50),
+    },
+  },
+  SHADOWS: {
+    type: "object",
+    properties: {
+      ENABLED: { type: "boolean", default: true },
+      SOFT_SHADOWS: { type: "boolean", default: true },
+      MAP_SIZE: { type: "number", default: 2048, min: 1 },
+      CAMERA_SIZE: { type: "number", default: 100 },
+      CAMERA_NEAR: { type: "number", default: 0.5 },
+      CAMERA_FAR: { type: "number", default: 500 },
+    },
+  },
+  HIERARCHY: {
+    type: "object",
+    properties: {
+      ON_PARENT_REMOVED: {
+        type: "string",
+        enum: PARENT_REMOVAL_POLICIES,
+        default: DEFAULT_PARENT_REMOVAL_POLICY,
+      },
+    },
+  },
+  PHYSICS: {
+    type: "object",
+    properties: {
+      GRAVITY: vector3(0, -9.81, 0),
+    },
+  },
+  ASSETS: {
+    type: "object",
+    properties: {
+      // Import settings per asset key, e.g. { "characters/hero": { scale: 1.5, offsetY: -1 } }
+      SCALING: { type: "object", default: {} },
+    },
+  },
+  assets: {
+    type: "array",
+    default: [],
+    restart: true,
+    items: {
+      type: "object",
+      properties: {
+        key: { type: "string" },
+        url: { type: "string" },
+        // The six faces of a cube map
+        urls: { type: "array", items: { type: "string" } },
+        type: { type: "string", enum: ASSET_TYPES },
+        // Texture settings
+        colorSpace: { type: "string", enum: TEXTURE_COLOR_SPACES },
+        wrap: { type: "string", enum: TEXTURE_WRAP_MODES },
+        wrapS: { type: "string", enum: TEXTURE_WRAP_MODES },
+        wrapT: { type: "string", enum: TEXTURE_WRAP_MODES },
+        repeat: { type: "array", items: { type: "number" } },
+        flipY: { type: "boolean" },
+      },
+    },
+  },
+};
+
+// Keys older games used before the schema existed, and where their values live now
+const DEPRECATED_KEYS = {
+  gravity: ["PHYSICS", "GRAVITY"],
+  shadows: ["SHADOWS", "ENABLED"],
+};
+
+/**
+ * Validates a game config against the engine schema and fills in every default.
+ * The input is not modified.
+ *
+ * @param {object} [config={}] - The game config passed to `engine.init()`.
+ * @param {Set<string>} [warned=new Set()] - Paths of unknown keys that were already warned about. An engine
+ *   passes its own set so `updateConfig()` does not repeat the warnings given by `init()`.
+ * @returns {object} The resolved config: every engine section complete, game sections and unknown
+ *   keys as given.
+ * @throws {Error} Listing every wrong type, out-of-range value and misspelled engine section, each with its path.
+ */
+export function resolveConfig(config = {}, warned = new Set()) {
+  const errors = [];
+  config = applyDeprecatedKeys(config);
+
+  const resolved = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in CONFIG_SCHEMA)) {
+      // Game-specific sections are allowed, but a near miss of an engine section is a typo
+      const suggestion = suggestKey(key, Object.keys(CONFIG_SCHEMA));
+      if (suggestion) {
+        errors.push(
+          `${key}: unknown engine section (did you mean '${suggestion}'?)`
+        );
+      }
+      resolved[key] = value;
+    }
+  }
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    const value = resolveValue(config[key], schema, key, errors, warned);
+    if (value !== undefined) {
+      resolved[key] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid game config:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Merges a partial config over a resolved one and resolves the result. Sections are merged key
+ * by key; any other value, including arrays, replaces the current one.
+ *
+ * @param {object} config - The current resolved config.
+ * @param {object} partial - The settings to change.
+ * @param {Set<string>} [warned] - Paths of unknown keys that were already warned about, see `resolveConfig`.
+ * @returns {object} The new resolved config. `config` is not modified.
+ * @throws {Error} If the merged config is invalid or a `restart` setting would change.
+ */
+export function mergeConfig(config, partial, warned) {
+  const merged = resolveConfig(
+    mergeDeep(config, applyDeprecatedKeys(partial)),
+    warned
+  );
+
+  const locked = findRestartPaths(CONFIG_SCHEMA, "").filter(
+    (path) => !isEqual(getPath(config, path), getPath(merged, path))
+  );
+  if (locked.length > 0) {
+    throw new Error(
+      `Cannot change ${locked.join(
+        ", "
+      )} after init(); dispose the engine and initialize it again.`
+    );
+  }
+  return merged;
+}
+
+/**
+ * Lists the paths of every value that differs between two configs, e.g. `LIGHTING.AMBIENT_INTENSITY`.
+ * @param {object} previous - The config before the change.
+ * @param {object} next - The config after the change.
+ * @returns {string[]} The changed paths.
+ */
+export function diffConfig(previous, next, path = "") {
+  const changed = [];
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const key of keys) {
+    const childPath = path ? `${path}.${key}` : key;
+    const before = previous[key];
+    const after = next[key];
+    if (isPlainObject(before) && isPlainObject(after)) {
+      changed.push(...diffConfig(before, after, childPath));
+    } else if (!isEqual(before, after)) {
+      changed.push(childPath);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Tells whether a setting, or any setting inside a section, is among the changed paths passed to
+ * `applyConfig`. Without a list of changed paths (the first apply during setup) everything counts as changed.
+ * @param {string[]|undefined} changed - The changed paths from `diffConfig`.
+ * @param {string} path - A setting or section path, e.g. `SCENE.BACKGROUND_COLOR` or `SHADOWS`.
+ * @returns {boolean} Whether the setting should be applied.
+ */
+export function hasConfigChanged(changed, path) {
+  if (!changed) {
+    return true;
+  }
+  return changed.some(
+    (changedPath) =>
+      changedPath === path ||
+      changedPath.startsWith(`${path}.`) ||
+      path.startsWith(`${changedPath}.`)
+  );
+}
+
+function mergeDeep(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(target[key])
+        ? mergeDeep(target[key], value)
+        : value;
+  }
+  return result;
+}
+
+function findRestartPaths(schema, path) {
+  const paths = [];
+  for (const [key, entry] of Object.entries(schema)) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (entry.restart) {
+      paths.push(childPath);
+    } else if (entry.properties) {
+      paths.push(...findRestartPaths(entry.properties, childPath));
+    }
+  }
+  return paths;
+}
+
+function getPath(object, path) {
+  return path.split(".").reduce((value, key) => value?.[key], object);
+}
+
+function isPlainObject(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => isEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+/**
+ * Moves values from deprecated keys to their schema location, with a warning.
+ * @param {object} config - The game config.
+ * @returns {object} A config without deprecated keys.
+ */
+function applyDeprecatedKeys(config) {
+  let result = config;
+  for (const [key, [section, property]] of Object.entries(DEPRECATED_KEYS)) {
+    if (!(key in config)) {
+      continue;
+    }
+    console.warn(
+      `⚠️ Game config '${key}' is deprecated; use ${section}.${property} instead.`
+    );
+    const { [key]: value, ...rest } = result;
+    result = {
+      ...rest,
+      // An explicit value at the new location wins over the deprecated key
+      [section]: { [property]: value, ...rest[section] },
+    };
+  }
+  return result;
+}
+
+/**
+ * Resolves one value against its schema, collecting problems in `errors`.
+ * @returns {any} The value, or its default when undefined.
+ */
+function resolveValue(value, schema, path, errors, warned) {
+  if (value === undefined) {
+    if (schema.properties) {
+      // Sections are always present so engine code can read them without fallbacks
+      return resolveValue({}, schema, path, errors, warned);
+    }
+    return cloneDefault(schema.default);
+  }
+
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${path}: expected ${schema.type}, got ${describe(value)}`);
+    return cloneDefault(schema.default);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${path}: expected one of ${schema.enum
+        .map((option) => `'${option}'`)
+        .join(", ")}, got '${value}'`
+    );
+    return schema.default;
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(`${path}: must be at least ${schema.min}, got ${value}`);
+    return schema.default;
+  }
+  if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+    errors.push(
+      `${path}: must be greater than ${schema.exclusiveMin}, got ${value}`
+    );
+    return schema.default;
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(`${path}: must be at most ${schema.max}, got ${value}`);
+    return schema.default;
+  }
+
+  if (schema.type === "array" && schema.items) {
+    return value.map((item, index) =>
+      resolveValue(item, schema.items, `${path}[${index}]`, errors, warned)
+    );
+  }
+
+  if (schema.properties) {
+    const resolved = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (!(key in schema.properties)) {
+        warnUnknownKey(`${path}.${key}`, key, schema.properties, warned);
+        // Games may keep their own settings in engine sections
+        resolved[key] = child;
+      }
+    }
+    for (const [key, childSchema] of Object.entries(schema.properties)) {
+      const child = resolveValue(
+        value[key],
+        childSchema,
+        `${path}.${key}`,
+        errors,
+        warned
+      );
+      if (child !== undefined) {
+        resolved[key] = child;
+      }
+    }
+    return resolved;
+  }
+
+  return value;
+}
+
+/**
+ * Warns once about a key an engine section does not define, suggesting the key it may be a typo of.
+ */
+function warnUnknownKey(path, key, properties, warned) {
+  if (warned.has(path)) {
+    return;
+  }
+  warned.add(path);
+  const suggestion = suggestKey(key, Object.keys(properties));
+  console.warn(
+    `⚠️ Game config '${path}' is not an engine setting${
+      suggestion ? ` (did you mean '${suggestion}'?)` : ""
+    }; it is passed through unchanged.`
+  );
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "any":
+      return true;
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+}
+
+function describe(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  return typeof value === "string" ? `string '${value}'` : typeof value;
+}
+
+function cloneDefault(value) {
+  if (Array.isArray(value)) {
+    return [...value];
+  }
+  if (typeof value === "object" && value !== null) {
+    return { ...value };
+  }
+  return value;
+}
+
+/**
+ * Finds the known key a misspelled key most likely meant: same letters in a different case,
+ * or at most two edits away.
+ * @returns {string|null}
+ */
+function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const known of knownKeys) {
+    const distance = editDistance(key.toUpperCase(), known.toUpperCase());
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.min(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -8,8 +8,16 @@
  * It follows a pattern common in modern game engines where the engine's flow is divided into distinct phases:
  *
  * 1.  **Registration**: Game-specific setup and runtime systems are registered with the engine before initialization.
- * 2.  **Initialization (`init`)**: The engine initializes core resources (renderer, physics, etc.), runs all registered setup systems in dependency order, and starts the game loop.
+ * 2.  **Initialization (`init`)**: The engine initializes core resources (renderer, physics, etc.) in dependency order, runs all registered setup systems in dependency order, and starts the game loop.
  * 3.  **Update Loop**: On every frame, all runtime systems are executed in a deterministic order based on their registered priority.
+ *     Systems registered with `fixed: true` (movement, physics, collisions, triggers) run as a group on a fixed timestep,
+ *     zero or more times per frame, while all other systems run exactly once per frame.
+ *
+ * 4.  **Teardown (`dispose`)**: The loop is stopped, the world is cleared and every resource releases its listeners and GPU/WASM memory.
+ *     The engine returns to the registration phase and `init` may be called again.
+ *
+ * The loop can be paused, resumed, slowed down or single-stepped (`pause`, `resume`, `setTimeScale`, `step`).
+ * Systems registered with `runWhenPaused: true` (camera, input, UI) keep running in real time while gameplay is frozen.
  *
  * The `GameSystems` class also provides a simple event bus for decoupled communication between different parts of the engine and game logic.
  *
@@ -33,12 +41,15 @@ import { World } from "miniplex";
 import * as THREE from "three";
 
 // Core Engine Resource Setups
-import { setupRenderer } from "./resources/renderer/rendererSetup.js";
+import {
+  setupRenderer,
+  setupHeadlessRenderer,
+} from "./resources/renderer/rendererSetup.js";
 import { setupPhysics } from "./resources/physics/physicsSetup.js";
 import { setupAssetManager } from "./resources/assetManager.js";
-import { setupInput } from "./resources/inputSetup.js";
+import { setupInput, setupHeadlessInput } from "./resources/inputSetup.js";
 import { setupLighting } from "./resources/lightingSetup.js";
-import { setupCamera } from "./resources/cameraSetup.js";
+import { setupCamera, setupHeadlessCamera } from "./resources/cameraSetup.js";
 
 // Core Engine Runtime Systems
 import { inputSystem } from "./systems/inputSystem.js";
@@ -47,18 +58,122 @@ import { pointerLockSystem } from "./systems/pointerLockSystem.js";
 import { componentMovementSystem } from "./systems/componentMovementSystem.js";
 import { stepPhysics } from "./systems/stepPhysicsSystem.js";
 import { physicsStateSyncSystem } from "./systems/physicsStateSyncSystem.js";
-import { sceneManagementSystem } from "./systems/sceneManagementSystem.js";
+import {
+  sceneManagementSystem,
+  disposeRenderable,
+  removePhysicsBody,
+} from "./systems/sceneManagementSystem.js";
 import { animationSetupSystem } from "./systems/animationSetupSystem.js";
 import { animationSystem } from "./systems/animationSystem.js";
 import { transformSyncSystem } from "./systems/transformSyncSystem.js";
 import { cameraUpdateSystem } from "./systems/cameraUpdateSystem.js";
 import { physicsBodySetupSystem } from "./systems/physicsBodySetupSystem.js";
 import { parentingSystem } from "./systems/parentingSystem.js";
-import { debugRenderSystem } from "./systems/debugRenderSystem.js";
+import {
+  debugRenderSystem,
+  createDebugRenderState,
+} from "./systems/debugRenderSystem.js";
 import { collisionSystem } from "./systems/collisionSystem.js";
 import { characterControllerCollisionSystem } from "./systems/characterControllerCollisionSystem.js";
-import { physicsCameraCollisionSystem } from "./systems/physicsCameraCollisionSystem.js";
+import {
+  physicsCameraCollisionSystem,
+  createCameraCollisionState,
+} from "./systems/physicsCameraCollisionSystem.js";
 import { triggerDetectionSystem } from "./systems/triggerDetectionSystem.js";
+import {
+  profilerOverlaySystem,
+  createProfilerOverlayState,
+} from "./systems/profilerOverlaySystem.js";
+import { createProfiler } from "./resources/profiler.js";
+import { createEntityIndex } from "./resources/entityIndex.js";
+import { createHierarchy } from "./resources/hierarchy.js";
+import { createComponentHooks } from "./resources/componentHooks.js";
+import { createLoadingScreen } from "./resources/loadingScreen.js";
+import {
+  resolveConfig,
+  mergeConfig,
+  diffConfig,
+  DEFAULT_FIXED_TIMESTEP,
+  DEFAULT_MAX_SUBSTEPS,
+  ERROR_POLICIES,
+  DEFAULT_ERROR_POLICY,
+  DEFAULT_MAX_FAILURES,
+  DEFAULT_PARENT_REMOVAL_POLICY,
+} from "./configSchema.js";
+import {
+  createComponentSerializers,
+  serializeWorld,
+  deserializeWorld,
+} from "./worldSerializer.js";
+import { createPrefab, buildPrefab } from "./prefabs.js";
+
+/**
+ * Named update stages, in execution order. A system registered without a `stage`
+ * is placed in the stage whose priority band contains its `priority`
+ * (a band covers priorities below `maxPriority` and at or above the previous band).
+ */
+const SYSTEM_STAGES = [
+  { name: "input", maxPriority: 30 }, // Input handling, camera direction
+  { name: "preUpdate", maxPriority: 35 }, // Game movement and intent
+  { name: "simulation", maxPriority: 41 }, // Character controllers, physics step
+  { name: "postPhysics", maxPriority: 50 }, // Collisions, triggers, physics sync
+  { name: "animation", maxPriority: 60 }, // Mesh creation, animation
+  { name: "preRender", maxPriority: 100 }, // Parenting, transform sync, camera
+  { name: "render", maxPriority: Infinity }, // Debug overlays, last-moment visuals
+];
+
+/**
+ * Names the engine registers for itself during `init()`, including the optional debug and
+ * profiler registrations. Plugins cannot claim them, even before `init()` has registered them.
+ */
+const CORE_RESOURCE_NAMES = [
+  "eventBus",
+  "time",
+  "cameraCollisionState",
+  "renderer",
+  "physics",
+  "input",
+  "assets",
+  "lighting",
+  "camera",
+  "debugRender",
+  "profiler",
+  "profilerOverlay",
+];
+const CORE_SETUP_NAMES = ["physicsBodyCreation"];
+const CORE_SYSTEM_NAMES = [
+  "inputInterpretation",
+  "cameraInput",
+  "pointerLock",
+  "componentMovement",
+  "physicsStep",
+  "characterControllerCollisionProcessing",
+  "collisionProcessing",
+  "triggerDetection",
+  "physicsStateSync",
+  "sceneManagement",
+  "animationSetup",
+  "animation",
+  "parenting",
+  "transformSync",
+  "camera-collision",
+  "cameraUpdate",
+  "debug-renderer",
+  "profiler-overlay",
+];
+
+/**
+ * Turns an event name pattern such as 'collision-*' into a regular expression.
+ * @param {string} pattern - Event name where `*` matches any sequence of characters.
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
 
 /**
  * @class GameSystems
@@ -66,41 +181,444 @@ import { triggerDetectionSystem } from "./systems/triggerDetectionSystem.js";
  * @description The main engine class that orchestrates the game lifecycle.
  */
 export class GameSystems {
-  constructor() {
+  /**
+   * @param {object} [options={}] - Default game configuration for this instance. It is merged
+   *   underneath the configuration passed to `init()`, so per-instance settings such as the
+   *   `canvas` can be bound when the engine is created.
+   */
+  constructor(options = {}) {
+    this.options = options;
+
     // Single ECS world - all entities live here
     this.world = new World();
+    // Assigns entity ids and indexes entities by id and name for the lifetime of the world
+    this.entityIndex = createEntityIndex(this.world);
+    // Tracks parent/child links and cleans up children of removed entities
+    this.hierarchy = createHierarchy(
+      this.world,
+      () =>
+        this.gameConfig?.HIERARCHY.ON_PARENT_REMOVED ??
+        DEFAULT_PARENT_REMOVAL_POLICY
+    );
 
+    this._resetState();
+  }
+
+  /**
+   * Puts every piece of engine state back to its pre-registration defaults.
+   * @private
+   * @internal
+   */
+  _resetState() {
     // Shared resources (singletons) - Physics, Renderer, etc.
     this.resources = new Map();
+    // Resource names in creation order, so teardown can run in reverse
+    this.resourceOrder = [];
 
     // Systems that run once during initialization
     this.setupSystems = [];
 
-    // Systems that run every frame in priority order
+    // Systems that run every frame in stage, constraint and priority order
     this.runtimeSystems = [];
+    this.systemRegistrationCount = 0;
 
     // Initialization state
     this.initialized = false;
+    // The resolved game config, set by init()
+    this.gameConfig = null;
+    // Unknown config keys already warned about, so updateConfig() does not repeat them
+    this.warnedConfigKeys = new Set();
 
-    // Event bus for pub/sub
+    // Event bus for pub/sub. Listeners are kept in priority order, per exact event name
+    // and per wildcard pattern (e.g. 'collision-*')
     this.eventListeners = new Map();
+    this.wildcardListeners = new Map();
+    this.listenerCount = 0;
+    // Events sent with queue(), delivered at the end of the frame
+    this.eventQueue = [];
+
+    // Plugins installed with use(), by name
+    this.plugins = new Map();
+
+    // How each component is saved by saveWorld() and restored by loadWorld()
+    this.componentSerializers = createComponentSerializers();
+
+    // Entity templates defined with definePrefab(), by name
+    this.prefabs = new Map();
+
+    // onAdd/onRemove callbacks registered with registerComponentHooks()
+    this.componentHooks = createComponentHooks(this.world);
 
     this.clock = new THREE.Clock();
+
+    // Frame timing shared with systems through the 'time' resource
+    this.time = {
+      delta: 0, // Variable frame delta in seconds, scaled by the time scale
+      unscaledDelta: 0, // Real frame delta in seconds
+      fixedDelta: DEFAULT_FIXED_TIMESTEP, // Fixed simulation step in seconds
+      alpha: 0, // Interpolation factor between the last two simulation steps
+      elapsed: 0, // Total simulated time in seconds
+      frame: 0, // Number of frames rendered
+    };
+
+    // Unsimulated time carried over between frames
+    this.accumulator = 0;
+    this.maxSubsteps = DEFAULT_MAX_SUBSTEPS;
+
+    // Playback control
+    this.paused = false;
+    this.timeScale = 1;
+    this.animationFrameId = null;
+
+    // Frame profiler, created by init() when PROFILER.ENABLED is set
+    this.profiler = null;
+
+    // Default handling of runtime system failures, overridable per system
+    this.errorPolicy = DEFAULT_ERROR_POLICY;
+    this.maxFailures = DEFAULT_MAX_FAILURES;
+    this.halted = false;
   }
 
   /**
-   * Register a shared resource (singleton service) that can be injected into systems.
-   * @param {string} name - A unique name for the resource (e.g., 'renderer', 'physics').
-   * @param {function(object): Promise<object>|object} factory - A function that creates the resource instance. It receives the game config object. Can be async.
-   * @throws {Error} If called after the engine has been initialized.
+   * Installs a plugin: a named bundle of resources, setup systems, runtime systems, mesh factories,
+   * physics body factories and event handlers that ship together as one reusable feature.
+   *
+   * Every name the plugin declares is checked before anything is registered, so a plugin that
+   * conflicts with an existing registration or a name reserved by the engine leaves the engine
+   * untouched. If a registration fails part-way, everything the plugin registered so far is removed
+   * again; changes made by its own `install` function are not undone.
+   *
+   * @param {object|function(object): object} plugin - The plugin, or a function that receives `options` and returns it.
+   * @param {string} plugin.name - A unique name for the plugin.
+   * @param {string[]} [plugin.dependencies=[]] - Names of plugins that must be installed first.
+   * @param {object<string, function|object>} [plugin.resources] - Resources by name, as passed to `registerResource`.
+   * @param {object<string, object>} [plugin.setups] - Setup systems by name, as passed to `registerSetup`.
+   * @param {object<string, object>} [plugin.systems] - Runtime systems by name, as passed to `registerSystem`.
+   * @param {object<string, function>} [plugin.meshFactories] - Mesh factories by renderable type, registered on the renderer.
+   * @param {object<string, function>} [plugin.bodyFactories] - Physics body factories by component name, registered on the physics resource.
+   * @param {object<string, function|object>} [plugin.events] - Event handlers by event name or pattern, either a callback
+   *   or `{ handler, priority, once }`.
+   * @param {function(GameSystems, object): void} [plugin.install] - Called synchronously once everything else is registered,
+   *   for anything the declarative fields do not cover.
+   * @param {object} [options={}] - Options for the plugin, passed to `plugin` when it is a function and to `install`.
+   * @returns {Promise<void>|undefined} After initialization, a promise that resolves once the plugin's resources and setup systems are ready.
+   *   It rejects if one of them fails, after the plugin has been removed again.
+   * @throws {Error} If the plugin has no name, is already installed, misses a plugin dependency, declares a name that is already
+   *   registered or reserved by the engine, or one of its registrations fails.
+   *
+   * @example
+   * export const terrainPlugin = {
+   *   name: "terrain",
+   *   bodyFactories: { isTerrain: terrainColliderFactory },
+   *   meshFactories: { instancedTerrain: terrainMeshFactory },
+   *   setups: {
+   *     "terrain-setup": {
+   *       provides: ["terrain"],
+   *       init: (world, deps, config, engine) => engine.addResource("terrain", createTerrain(world)),
+   *     },
+   *   },
+   * };
+   *
+   * engine.use(terrainPlugin);
+   */
+  use(plugin, options = {}) {
+    if (typeof plugin === "function") {
+      plugin = plugin(options);
+    }
+
+    const {
+      name,
+      dependencies = [],
+      resources = {},
+      setups = {},
+      systems = {},
+      meshFactories = {},
+      bodyFactories = {},
+      events = {},
+      install,
+    } = plugin || {};
+
+    if (!name) {
+      throw new Error("Plugins must have a name.");
+    }
+    if (this.plugins.has(name)) {
+      throw new Error(`Plugin '${name}' is already installed.`);
+    }
+    for (const depName of dependencies) {
+      if (!this.plugins.has(depName)) {
+        throw new Error(
+          `Plugin '${name}' requires plugin '${depName}'; install it with engine.use() first.`
+        );
+      }
+    }
+
+    const record = { name, meshFactories, bodyFactories };
+    this._checkPluginConflicts(record, resources, setups, systems);
+    this.plugins.set(name, record);
+
+    // What has been registered so far, so a failed install can be rolled back
+    const installed = {
+      listeners: [],
+      resources: [],
+      setups: [],
+      systems: [],
+      factories: false,
+    };
+    const rollback = (error) => {
+      this._rollbackPlugin(record, installed);
+      throw error;
+    };
+
+    try {
+      for (const [eventName, listener] of Object.entries(events)) {
+        if (typeof listener === "function") {
+          installed.listeners.push(this.on(eventName, listener));
+        } else {
+          const { handler, ...listenerOptions } = listener;
+          installed.listeners.push(
+            this.on(eventName, handler, listenerOptions)
+          );
+        }
+      }
+
+      if (!this.initialized) {
+        for (const [resourceName, definition] of Object.entries(resources)) {
+          this.registerResource(resourceName, definition);
+          installed.resources.push(resourceName);
+        }
+        for (const [setupName, setup] of Object.entries(setups)) {
+          this.registerSetup(setupName, setup);
+          installed.setups.push(setupName);
+        }
+        for (const [systemName, system] of Object.entries(systems)) {
+          this.registerSystem(systemName, system);
+          installed.systems.push(systemName);
+        }
+        install?.(this, options);
+        return;
+      }
+    } catch (error) {
+      rollback(error);
+    }
+
+    // Already running: everything a setup or runtime system needs must exist before it runs
+    return (async () => {
+      for (const [resourceName, definition] of Object.entries(resources)) {
+        const ready = this.registerResource(resourceName, definition);
+        installed.resources.push(resourceName);
+        await ready;
+      }
+      this._installPluginFactories(record);
+      installed.factories = true;
+      for (const [setupName, setup] of Object.entries(setups)) {
+        const ready = this.registerSetup(setupName, setup);
+        installed.setups.push(setupName);
+        await ready;
+      }
+      for (const [systemName, system] of Object.entries(systems)) {
+        this.registerSystem(systemName, system);
+        installed.systems.push(systemName);
+      }
+      install?.(this, options);
+    })().catch(rollback);
+  }
+
+  /**
+   * Removes everything a plugin registered before its installation failed.
+   * @private
+   * @internal
+   */
+  _rollbackPlugin(plugin, installed) {
+    installed.listeners.forEach((unsubscribe) => unsubscribe());
+
+    this.runtimeSystems = this.runtimeSystems.filter(
+      (system) => !installed.systems.includes(system.name)
+    );
+    this.setupSystems = this.setupSystems.filter(
+      (setup) => !installed.setups.includes(setup.name)
+    );
+
+    if (installed.factories) {
+      const renderer = this.getResource("renderer");
+      const physics = this.getResource("physics");
+      for (const type of Object.keys(plugin.meshFactories)) {
+        renderer.meshFactoryRegistry.delete(type);
+      }
+      for (const componentName of Object.keys(plugin.bodyFactories)) {
+        physics.bodyFactoryRegistry.delete(componentName);
+      }
+    }
+
+    for (const name of [...installed.resources].reverse()) {
+      const instance = this.resources.get(name)?.instance;
+      try {
+        instance?.dispose?.();
+      } catch (error) {
+        console.error(`Failed to dispose resource '${name}':`, error);
+      }
+      this.resources.delete(name);
+      this.resourceOrder = this.resourceOrder.filter(
+        (resourceName) => resourceName !== name
+      );
+    }
+
+    this.plugins.delete(plugin.name);
+  }
+
+  /**
+   * Throws if a plugin declares a resource, system or factory name that is already taken or
+   * reserved for the engine's own registrations.
+   * @private
+   * @internal
    */
-  registerResource(name, factory) {
+  _checkPluginConflicts(plugin, resources, setups, systems) {
+    const conflicts = [];
+    for (const name of Object.keys(resources)) {
+      if (CORE_RESOURCE_NAMES.includes(name)) {
+        conflicts.push(`resource '${name}' (reserved by the engine)`);
+      } else if (this.resources.has(name)) {
+        conflicts.push(`resource '${name}'`);
+      }
+    }
+    for (const name of Object.keys(setups)) {
+      if (CORE_SETUP_NAMES.includes(name)) {
+        conflicts.push(`setup system '${name}' (reserved by the engine)`);
+      } else if (this.setupSystems.some((setup) => setup.name === name)) {
+        conflicts.push(`setup system '${name}'`);
+      }
+    }
+    for (const name of Object.keys(systems)) {
+      if (CORE_SYSTEM_NAMES.includes(name)) {
+        conflicts.push(`runtime system '${name}' (reserved by the engine)`);
+      } else if (this.runtimeSystems.some((system) => system.name === name)) {
+        conflicts.push(`runtime system '${name}'`);
+      }
+    }
+    for (const other of this.plugins.values()) {
+      for (const name of Object.keys(plugin.meshFactories)) {
+        if (name in other.meshFactories) {
+          conflicts.push(
+            `mesh factory '${name}' (from plugin '${other.name}')`
+          );
+        }
+      }
+      for (const name of Object.keys(plugin.bodyFactories)) {
+        if (name in other.bodyFactories) {
+          conflicts.push(
+            `body factory '${name}' (from plugin '${other.name}')`
+          );
+        }
+      }
+    }
+
     if (this.initialized) {
+      // Factories registered directly on the resources, including the built-in ones
+      const renderer = this.getResource("renderer");
+      const physics = this.getResource("physics");
+      for (const name of Object.keys(plugin.meshFactories)) {
+        if (renderer.getMeshFactory(name)) {
+          conflicts.push(`mesh factory '${name}'`);
+        }
+      }
+      for (const name of Object.keys(plugin.bodyFactories)) {
+        if (physics.getBodyFactory(name)) {
+          conflicts.push(`body factory '${name}'`);
+        }
+      }
+    }
+
+    if (conflicts.length > 0) {
       throw new Error(
-        `Cannot register resource '${name}' after initialization`
+        `Plugin '${
+          plugin.name
+        }' declares names that are already registered: ${conflicts.join(", ")}`
       );
     }
-    this.resources.set(name, { factory, instance: null });
+  }
+
+  /**
+   * Registers a plugin's mesh and body factories on the renderer and physics resources.
+   * @private
+   * @internal
+   */
+  _installPluginFactories(plugin) {
+    const meshFactories = Object.entries(plugin.meshFactories);
+    const bodyFactories = Object.entries(plugin.bodyFactories);
+    const renderer = meshFactories.length > 0 && this.getResource("renderer");
+    const physics = bodyFactories.length > 0 && this.getResource("physics");
+
+    // Check every name first, so a conflict registers none of the plugin's factories
+    for (const [type] of meshFactories) {
+      if (renderer.getMeshFactory(type)) {
+        throw new Error(
+          `Plugin '${plugin.name}' registers mesh factory '${type}', which is already registered.`
+        );
+      }
+    }
+    for (const [componentName] of bodyFactories) {
+      if (physics.getBodyFactory(componentName)) {
+        throw new Error(
+          `Plugin '${plugin.name}' registers body factory '${componentName}', which is already registered.`
+        );
+      }
+    }
+
+    for (const [type, factory] of meshFactories) {
+      renderer.registerMeshFactory(type, factory);
+    }
+    for (const [componentName, factory] of bodyFactories) {
+      physics.registerBodyFactory(componentName, factory);
+    }
+  }
+
+  /**
+   * Register a shared resource (singleton service) that can be injected into systems.
+   * Resources are created during `init()` before any setup system runs. A resource that declares
+   * `dependencies` is created after them, regardless of registration order, and receives their instances.
+   *
+   * @param {string} name - A unique name for the resource (e.g., 'renderer', 'physics').
+   * @param {function(object, object<string, any>): Promise<object>|object|object} definition - Either the factory itself,
+   *   or an object with a `factory` and its `dependencies`.
+   * @param {function(object, object<string, any>): Promise<object>|object} definition.factory - A function that creates the resource instance.
+   *   It receives the game config object and a `dependencies` object containing the requested resource instances. Can be async.
+   *   If the instance has a `dispose()` method, it is called when the engine is disposed.
+   * @param {string[]} [definition.dependencies=[]] - Names of the resources (or resources provided by setup systems) this factory needs.
+   * @returns {Promise<void>|undefined} After initialization, the resource is created immediately and a promise is returned that resolves once it is available.
+   *   If the factory fails, the promise rejects and the resource is not registered, so it can be registered again.
+   * @throws {Error} If called after initialization with the name of an existing resource.
+   *
+   * @example
+   * engine.registerResource("minimap", {
+   *   dependencies: ["renderer", "camera"],
+   *   factory: (config, { renderer, camera }) => createMinimap(renderer, camera),
+   * });
+   */
+  registerResource(name, definition) {
+    const { factory, dependencies = [] } =
+      typeof definition === "function" ? { factory: definition } : definition;
+    if (typeof factory !== "function") {
+      throw new Error(`Resource '${name}' must provide a factory function.`);
+    }
+
+    if (!this.initialized) {
+      this.resources.set(name, { factory, dependencies, instance: null });
+      return;
+    }
+
+    if (this.resources.has(name)) {
+      throw new Error(`Resource '${name}' already exists.`);
+    }
+    this.resources.set(name, { factory, dependencies, instance: null });
+    return this._initResource(
+      name,
+      new Set(),
+      new Set(),
+      this.gameConfig
+    ).catch((error) => {
+      // Forget the failed resource, so it can be registered again
+      this.resources.delete(name);
+      throw error;
+    });
   }
 
   /**
@@ -108,6 +626,7 @@ export class GameSystems {
    * Setup systems run once during engine initialization and are used for creating
    * initial entities, registering component-specific factories, and other one-time setup tasks.
    * They are executed in an order determined by their dependencies.
+   * A setup system registered after initialization (e.g. when a level loads) runs immediately.
    *
    * @param {string} name - A unique name for the setup system.
    * @param {object} config - The configuration for the setup system.
@@ -115,42 +634,86 @@ export class GameSystems {
    *   It receives the ECS `world`, a `dependencies` object containing the requested resource instances, the global `gameConfig` object,
    *   and the `engine` instance itself. This function can be async.
    * @param {string[]} [config.dependencies=[]] - An array of resource names this system needs (e.g., ['renderer', 'physics']). The system will not run until these resources are available.
-   * @throws {Error} If called after the engine has been initialized.
+   * @param {string[]} [config.provides=[]] - Names of the resources this system adds with `engine.addResource()`.
+   *   Setup systems and resources that depend on one of them run after this system, whatever the registration order.
+   * @returns {Promise<void>|undefined} After initialization, a promise that resolves once the setup system has run.
+   *   If it fails, the promise rejects and the setup system is not registered, so it can be registered again.
    *
    * @example
    * engine.registerSetup("create-player", {
-   *   dependencies: ["physics"],
-   *   init: (world, { physics }, config, engine) => {
+   *   dependencies: ["physics", "terrain"],
+   *   init: (world, { physics, terrain }, config, engine) => {
    *     // logic to create the player entity and its physics body
    *     // You can also call engine.addResource() here if needed
    *   }
    * });
+   *
+   * engine.registerSetup("create-terrain", {
+   *   provides: ["terrain"],
+   *   init: (world, dependencies, config, engine) => {
+   *     engine.addResource("terrain", createTerrain(world));
+   *   }
+   * });
    */
-  registerSetup(name, { init, dependencies = [] }) {
-    if (this.initialized) {
-      throw new Error(
-        `Cannot register setup system '${name}' after initialization`
-      );
-    }
-    this.setupSystems.push({
+  registerSetup(name, { init, dependencies = [], provides = [] }) {
+    const setup = {
       name,
       init,
       dependencies,
-    });
+      provides,
+    };
+    this.setupSystems.push(setup);
+
+    if (this.initialized) {
+      return this._runSetupSystem(
+        setup,
+        new Set(),
+        new Set(),
+        this.gameConfig
+      ).catch((error) => {
+        // Forget the failed setup system, so it can be registered again
+        this.setupSystems = this.setupSystems.filter(
+          (registered) => registered !== setup
+        );
+        throw error;
+      });
+    }
   }
 
   /**
    * Registers a runtime system.
-   * Runtime systems are executed every frame in a specific order defined by their priority.
-   * They contain the core game logic that reads and writes component data.
+   * Runtime systems are executed every frame in a specific order defined by their stage, their `before`/`after`
+   * constraints and their priority. They contain the core game logic that reads and writes component data.
+   * Systems can be registered at any time; one registered mid-frame starts running on the next frame.
+   *
+   * Ordering rules:
+   * - Stages run in the order `input`, `preUpdate`, `simulation`, `postPhysics`, `animation`, `preRender`, `render`.
+   *   A system without a `stage` is placed by its priority (e.g. 30 → `preUpdate`, 999 → `render`).
+   * - `before` and `after` constraints always win, even across stages.
+   * - Otherwise systems in the same stage run by ascending priority, then in registration order.
+   *
+   * Unknown system names and cycles in `before`/`after` are reported when `init()` runs.
    *
    * @param {string} name - A unique name for the runtime system.
    * @param {object} config - The configuration for the runtime system.
    * @param {function(World, object<string, any>, number): void} config.update - The function to execute every frame.
-   *   It receives the ECS `world`, a `dependencies` object containing requested resource instances, and the `deltaTime` since the last frame.
+   *   It receives the ECS `world`, a `dependencies` object containing requested resource instances, and the `deltaTime` since the last frame
+   *   (or the fixed timestep for `fixed` systems).
    * @param {string[]} [config.dependencies=[]] - An array of resource names this system needs. These resources will be passed in the `dependencies` object.
-   * @param {number} [config.priority=0] - The execution priority. Lower numbers run first.
-   * @throws {Error} If called after the engine has been initialized.
+   * @param {number} [config.priority=0] - The execution priority within the stage. Lower numbers run first.
+   * @param {string} [config.stage] - The named stage the system belongs to. Defaults to the stage matching `priority`.
+   * @param {string[]} [config.before=[]] - Names of runtime systems this system must run before.
+   * @param {string[]} [config.after=[]] - Names of runtime systems this system must run after.
+   * @param {boolean} [config.fixed=false] - If true, the system is part of the fixed-timestep simulation and may run zero or more times per frame.
+   *   All fixed systems run together, in execution order, at the position of the first fixed system.
+   * @param {boolean} [config.runWhenPaused=false] - If true, the system keeps running while the engine is paused and receives the unscaled frame delta.
+   *   Use this for camera, input and UI systems. Fixed systems are part of the simulation and can never run while paused.
+   * @param {string} [config.errorPolicy] - What to do when `update` throws: `'log-once'`, `'disable'` or `'halt'`.
+   *   Defaults to `SYSTEM_ERRORS.POLICY` from the game config (`'log-once'`).
+   * @param {number} [config.maxFailures] - With the `'disable'` policy, the number of consecutive failures before the system is disabled.
+   *   Defaults to `SYSTEM_ERRORS.MAX_FAILURES` from the game config (3).
+   * @throws {Error} If a system with the same name exists, if the stage or error policy is unknown, if the system is both `fixed` and `runWhenPaused`,
+   *   or if it is registered after initialization with an unknown resource, an unknown system in `before`/`after`, or an ordering cycle.
    *
    * @example
    * engine.registerSystem("player-input", {
@@ -160,22 +723,263 @@ export class GameSystems {
    *   },
    *   priority: 10
    * });
+   *
+   * @example
+   * // Gameplay that feeds the physics simulation should run on the fixed timestep
+   * engine.registerSystem("player-movement", {
+   *   update: (world, _, fixedDelta) => playerMovementSystem(world, fixedDelta),
+   *   priority: 30,
+   *   fixed: true
+   * });
+   *
+   * @example
+   * // Place a system by stage and explicit constraints instead of a magic number
+   * engine.registerSystem("footstep-audio", {
+   *   stage: "postPhysics",
+   *   after: ["physicsStateSync"],
+   *   update: (world) => playFootsteps(world)
+   * });
    */
-  registerSystem(name, { update, dependencies = [], priority = 0 }) {
-    if (this.initialized) {
+  registerSystem(
+    name,
+    {
+      update,
+      dependencies = [],
+      priority = 0,
+      stage,
+      before = [],
+      after = [],
+      fixed = false,
+      runWhenPaused = false,
+      errorPolicy,
+      maxFailures,
+    }
+  ) {
+    if (this.runtimeSystems.some((system) => system.name === name)) {
+      throw new Error(`Runtime system '${name}' is already registered`);
+    }
+    if (errorPolicy !== undefined && !ERROR_POLICIES.includes(errorPolicy)) {
+      throw new Error(
+        `Runtime system '${name}' uses unknown error policy '${errorPolicy}'. Valid policies: ${ERROR_POLICIES.join(
+          ", "
+        )}`
+      );
+    }
+    if (fixed && runWhenPaused) {
+      throw new Error(
+        `Runtime system '${name}' cannot be both fixed and runWhenPaused`
+      );
+    }
+
+    const stageIndex =
+      stage === undefined
+        ? SYSTEM_STAGES.findIndex((s) => priority < s.maxPriority)
+        : SYSTEM_STAGES.findIndex((s) => s.name === stage);
+    if (stageIndex === -1) {
       throw new Error(
-        `Cannot register runtime system '${name}' after initialization`
+        `Runtime system '${name}' uses unknown stage '${stage}'. Valid stages: ${SYSTEM_STAGES.map(
+          (s) => s.name
+        ).join(", ")}`
       );
     }
-    this.runtimeSystems.push({
+
+    const system = {
       name,
       update,
       dependencies,
       priority,
-    });
+      stage: SYSTEM_STAGES[stageIndex].name,
+      stageIndex,
+      before,
+      after,
+      registrationIndex: this.systemRegistrationCount++,
+      fixed,
+      runWhenPaused,
+      errorPolicy,
+      maxFailures,
+      failures: 0, // Consecutive failed updates
+      logged: false, // Whether a failure was logged since the system was registered or re-enabled
+      enabled: true,
+    };
+
+    if (!this.initialized) {
+      // Constraints may name systems that are registered later; init() validates them
+      this.runtimeSystems = this._sortRuntimeSystems(
+        [...this.runtimeSystems, system],
+        false
+      );
+      return;
+    }
+
+    for (const depName of dependencies) {
+      if (!this.resources.has(depName)) {
+        throw new Error(
+          `Runtime system '${name}' requires unknown resource: ${depName}`
+        );
+      }
+    }
+    const systems = [...this.runtimeSystems, system];
+    this._validateSystemReferences([system], systems);
+
+    // Replace rather than mutate the list, so a frame that is iterating it is unaffected.
+    this.runtimeSystems = this._sortRuntimeSystems(systems, true);
+  }
+
+  /**
+   * Removes a runtime system. It can be called at any time, including from inside another system;
+   * the removed system stops running from the next frame.
+   *
+   * @param {string} name - The name the system was registered with.
+   * @throws {Error} If no runtime system with that name is registered.
+   *
+   * @example
+   * engine.on("boss-defeated", () => engine.unregisterSystem("boss-fight"));
+   */
+  unregisterSystem(name) {
+    this._getRuntimeSystem(name);
+    this.runtimeSystems = this.runtimeSystems.filter(
+      (system) => system.name !== name
+    );
+  }
+
+  /**
+   * Enables or disables a runtime system without removing it. A disabled system keeps its place
+   * in the execution order but is skipped every frame. Enabling a system resets its failure count,
+   * so its next failure is logged again.
+   *
+   * @param {string} name - The name the system was registered with.
+   * @param {boolean} enabled - Whether the system should run.
+   * @throws {Error} If no runtime system with that name is registered.
+   *
+   * @example
+   * engine.setSystemEnabled("debug-renderer", false);
+   */
+  setSystemEnabled(name, enabled) {
+    const system = this._getRuntimeSystem(name);
+    system.enabled = enabled;
+    if (enabled) {
+      // Give a system disabled by the 'disable' error policy a fresh start
+      system.failures = 0;
+      system.logged = false;
+    }
+  }
+
+  /**
+   * Lists the registered runtime systems in execution order.
+   * The returned objects are copies; use `setSystemEnabled` and `unregisterSystem` to change systems.
+   *
+   * @returns {{name: string, stage: string, priority: number, before: string[], after: string[], dependencies: string[], fixed: boolean, runWhenPaused: boolean, errorPolicy: string, failures: number, enabled: boolean}[]}
+   *
+   * @example
+   * console.table(engine.getSystems());
+   */
+  getSystems() {
+    return this.runtimeSystems.map((system) => ({
+      name: system.name,
+      stage: system.stage,
+      priority: system.priority,
+      before: [...system.before],
+      after: [...system.after],
+      dependencies: [...system.dependencies],
+      fixed: system.fixed,
+      runWhenPaused: system.runWhenPaused,
+      errorPolicy: system.errorPolicy ?? this.errorPolicy,
+      failures: system.failures,
+      enabled: system.enabled,
+    }));
+  }
+
+  /**
+   * Throws if any of the given systems names an unknown system in `before` or `after`.
+   * @private
+   * @internal
+   */
+  _validateSystemReferences(systemsToCheck, allSystems) {
+    const names = new Set(allSystems.map((s) => s.name));
+    for (const system of systemsToCheck) {
+      for (const other of [...system.before, ...system.after]) {
+        if (!names.has(other)) {
+          throw new Error(
+            `Runtime system '${system.name}' is ordered relative to unknown system: ${other}`
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Orders runtime systems: a topological sort over the `before`/`after` constraints that,
+   * among systems free to run next, always picks the earliest by stage, priority and registration.
+   * References to unknown systems are ignored here (see `_validateSystemReferences`).
+   * @param {object[]} systems - The systems to order.
+   * @param {boolean} strict - If true, a cycle throws. Otherwise the constraints are dropped and the
+   *   systems are ordered by stage and priority alone, leaving the cycle for `init()` to report.
+   * @returns {object[]} A new, ordered array.
+   * @private
+   * @internal
+   */
+  _sortRuntimeSystems(systems, strict) {
+    const compare = (a, b) =>
+      a.stageIndex - b.stageIndex ||
+      a.priority - b.priority ||
+      a.registrationIndex - b.registrationIndex;
+
+    const successors = new Map(systems.map((s) => [s.name, []]));
+    const incoming = new Map(systems.map((s) => [s.name, 0]));
+    const addEdge = (from, to) => {
+      if (!successors.has(from) || !successors.has(to)) {
+        return;
+      }
+      successors.get(from).push(to);
+      incoming.set(to, incoming.get(to) + 1);
+    };
+    for (const system of systems) {
+      system.before.forEach((other) => addEdge(system.name, other));
+      system.after.forEach((other) => addEdge(other, system.name));
+    }
+
+    const byName = new Map(systems.map((s) => [s.name, s]));
+    const ready = systems.filter((s) => incoming.get(s.name) === 0);
+    const ordered = [];
+    while (ready.length > 0) {
+      ready.sort(compare);
+      const next = ready.shift();
+      ordered.push(next);
+      for (const successor of successors.get(next.name)) {
+        incoming.set(successor, incoming.get(successor) - 1);
+        if (incoming.get(successor) === 0) {
+          ready.push(byName.get(successor));
+        }
+      }
+    }
+
+    if (ordered.length < systems.length) {
+      if (!strict) {
+        return [...systems].sort(compare);
+      }
+      const cycle = systems
+        .filter((s) => !ordered.includes(s))
+        .map((s) => s.name);
+      throw new Error(
+        `Circular before/after constraints involving runtime systems: ${cycle.join(
+          ", "
+        )}`
+      );
+    }
+    return ordered;
+  }
 
-    // Keep runtime systems sorted by priority
-    this.runtimeSystems.sort((a, b) => a.priority - b.priority);
+  /**
+   * Look up a registered runtime system by name
+   * @private
+   * @internal
+   */
+  _getRuntimeSystem(name) {
+    const system = this.runtimeSystems.find((s) => s.name === name);
+    if (!system) {
+      throw new Error(`Runtime system '${name}' is not registered`);
+    }
+    return system;
   }
 
   /**
@@ -183,134 +987,726 @@ export class GameSystems {
    * This method must be called after all game-specific systems have been registered.
    *
    * @param {object} [gameConfig={}] - A configuration object that is passed to all resource factories and setup systems.
+   *   It is validated against the engine schema (see `configSchema.js`) and every missing engine setting is filled in with its default.
    * @param {HTMLCanvasElement} gameConfig.canvas - The canvas element for rendering.
+   * @param {boolean} [gameConfig.headless=false] - If true, runs without a DOM or WebGL: the renderer, camera and input are no-op stand-ins
+   *   and the loop does not start; drive it with `tick()`. Physics, triggers and animation run as usual.
    * @param {boolean} [gameConfig.DEBUG=false] - If true, enables debug features like the physics wireframe renderer.
+   * @param {object|false} [gameConfig.loadingScreen] - The overlay shown until the setup systems have run: an object with
+   *   `show()`, `update(progress)` and `hide()` methods, `false` for none, or omitted for the built-in progress bar.
+   *   `update` receives the payload of every `asset-progress`, `asset-loaded` and `asset-error` event.
+   * @param {object} [gameConfig.LOOP] - Game loop settings.
+   * @param {number} [gameConfig.LOOP.FIXED_TIMESTEP=1/60] - The fixed simulation step in seconds, greater than 0 and at most 0.25.
+   * @param {number} [gameConfig.LOOP.MAX_SUBSTEPS=5] - The maximum number of simulation steps per frame. Time beyond this is dropped to avoid a spiral of death.
+   * @param {object} [gameConfig.PROFILER] - Profiler settings.
+   * @param {boolean} [gameConfig.PROFILER.ENABLED=false] - If true, records per-frame timings readable with `getProfile()`.
+   * @param {boolean} [gameConfig.PROFILER.OVERLAY=false] - If true, also shows the timings in an on-screen panel.
+   * @param {number} [gameConfig.PROFILER.HISTORY_SIZE=120] - The number of frames kept in the profile history.
+   * @param {object} [gameConfig.SYSTEM_ERRORS] - How failing runtime systems are handled, unless a system sets its own `errorPolicy`.
+   * @param {string} [gameConfig.SYSTEM_ERRORS.POLICY='log-once'] - `'log-once'`, `'disable'` or `'halt'`.
+   * @param {number} [gameConfig.SYSTEM_ERRORS.MAX_FAILURES=3] - Consecutive failures before the `'disable'` policy disables a system.
    * @returns {Promise<void>} A promise that resolves when initialization is complete and the game loop has started.
-   * @throws {Error} If the engine is already initialized or if any part of the setup fails.
+   * @throws {Error} If the engine is already initialized, if the config is invalid (listing every problem with its path),
+   *   or if any part of the setup fails.
    */
   async init(gameConfig = {}) {
     if (this.initialized) {
       throw new Error("GameSystems already initialized");
     }
+    gameConfig = resolveConfig(
+      { ...this.options, ...gameConfig },
+      this.warnedConfigKeys
+    );
     this.gameConfig = gameConfig;
+    this._applyLoopConfig(gameConfig);
+    this.accumulator = 0;
 
     // This is the key change: The engine now registers its own core systems.
     this._registerCoreSystems();
 
-    // Conditionally register optional, built-in systems based on config
-    if (gameConfig.DEBUG) {
-      this.registerSystem("debug-renderer", {
-        update: debugRenderSystem,
-        dependencies: ["physics", "renderer"],
-        priority: 999, // Run last
-      });
-    }
+    // Conditionally register optional, built-in systems based on config
+    if (gameConfig.DEBUG) {
+      this.addResource("debugRender", createDebugRenderState());
+      this.registerSystem("debug-renderer", {
+        update: debugRenderSystem,
+        dependencies: ["physics", "renderer", "debugRender"],
+        stage: "render",
+        priority: 999, // Run last
+      });
+    }
+
+    const profilerConfig = gameConfig.PROFILER;
+    if (profilerConfig.ENABLED || profilerConfig.OVERLAY) {
+      this.profiler = createProfiler(gameConfig);
+      this.addResource("profiler", this.profiler);
+    }
+    if (profilerConfig.OVERLAY && !gameConfig.headless) {
+      this.addResource("profilerOverlay", createProfilerOverlayState());
+      this.registerSystem("profiler-overlay", {
+        update: profilerOverlaySystem,
+        dependencies: ["profiler", "profilerOverlay"],
+        stage: "render",
+        priority: 1000, // After the debug renderer
+        runWhenPaused: true,
+      });
+    }
+
+    // Shown until the setup systems have run, with progress from the asset events
+    const loadingScreen = this._createLoadingScreen(gameConfig);
+    loadingScreen?.show?.();
+    const stopLoadingUpdates = loadingScreen
+      ? this.on("asset-*", (progress) => loadingScreen.update?.(progress))
+      : null;
+
+    try {
+      // Phase 0: Report system ordering mistakes before any resource is created
+      this._validateSystemReferences(this.runtimeSystems, this.runtimeSystems);
+      this.runtimeSystems = this._sortRuntimeSystems(this.runtimeSystems, true);
+
+      const completed = new Set();
+      const inProgress = new Set();
+
+      // Phase 1: Initialize all resources in dependency order, passing the game config to their factories.
+      // The renderer and physics come first, so plugin mesh and body factories are installed before
+      // any setup system runs, including providers that a resource pulls in during this phase.
+      for (const name of ["renderer", "physics"]) {
+        await this._initResource(name, completed, inProgress, gameConfig);
+      }
+      for (const plugin of this.plugins.values()) {
+        this._installPluginFactories(plugin);
+      }
+      for (const [name, resource] of this.resources) {
+        if (resource.factory) {
+          await this._initResource(name, completed, inProgress, gameConfig);
+        }
+      }
+
+      // Phase 2: Run setup systems in dependency order
+      for (const setup of this.setupSystems) {
+        await this._runSetupSystem(setup, completed, inProgress, gameConfig);
+      }
+
+      this.initialized = true;
+      if (!gameConfig.headless) {
+        this.start(); // Start the animation loop
+      }
+    } catch (error) {
+      console.error("❌ GameSystems initialization failed:", error);
+      throw error;
+    } finally {
+      stopLoadingUpdates?.();
+      loadingScreen?.hide?.();
+    }
+  }
+
+  /**
+   * Picks the loading screen for `init()`: the game's own, the built-in overlay, or none
+   * when `loadingScreen` is `false` or there is no page to draw on.
+   * @private
+   * @internal
+   */
+  _createLoadingScreen(config) {
+    if (config.loadingScreen === false) {
+      return null;
+    }
+    if (config.loadingScreen) {
+      return config.loadingScreen;
+    }
+    if (config.headless || typeof document === "undefined") {
+      return null;
+    }
+    return createLoadingScreen();
+  }
+
+  /**
+   * Kicks off and maintains the game loop.
+   * @private
+   * @internal
+   */
+  start() {
+    const animate = () => {
+      const deltaTime = this.clock.getDelta();
+      this.update(deltaTime);
+      if (!this.halted) {
+        this.animationFrameId = requestAnimationFrame(animate);
+      }
+    };
+    animate();
+  }
+
+  /**
+   * Stops the game loop.
+   * @private
+   * @internal
+   */
+  stop() {
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
+
+  /**
+   * Restarts a game loop stopped by a system failing under the `'halt'` error policy.
+   * Fix or disable the failing system first, or its next failure halts the loop again.
+   * Does nothing if the loop is not halted. Call it outside of the game loop, e.g. from UI.
+   *
+   * @example
+   * // The "Continue without minimap" button of an error overlay
+   * engine.setSystemEnabled("minimap", false);
+   * engine.clearHalt();
+   */
+  clearHalt() {
+    if (!this.halted) {
+      return;
+    }
+    this.halted = false;
+    if (this.initialized && !this.gameConfig.headless) {
+      this.clock.getDelta(); // Do not count the halted time as one long frame
+      this.start();
+    }
+  }
+
+  /**
+   * Shuts the engine down and releases everything it owns, so it can be initialized again.
+   *
+   * The loop is stopped and every entity is removed from the world. Then every resource that
+   * exposes a `dispose()` method has it called, in reverse order of creation, which removes
+   * window listeners, frees the Rapier world and releases GPU memory. Finally all registered
+   * systems, resources and event listeners are forgotten.
+   *
+   * After disposal the engine is back in its registration phase: register your systems again
+   * and call `init()`.
+   *
+   * @example
+   * // Unmounting a game inside a single-page app
+   * engine.dispose();
+   *
+   * // Mounting it again later
+   * registerGameSystems(engine);
+   * await engine.init({ canvas });
+   */
+  dispose() {
+    this.stop();
+
+    // Remove entities first so removal handlers can still reach live resources
+    this.world.clear();
+
+    for (const name of [...this.resourceOrder].reverse()) {
+      const { instance } = this.resources.get(name);
+      // The engine serves some resources itself (e.g. 'eventBus'); never recurse into it
+      if (
+        !instance ||
+        instance === this ||
+        typeof instance.dispose !== "function"
+      ) {
+        continue;
+      }
+      try {
+        instance.dispose();
+      } catch (error) {
+        console.error(`Failed to dispose resource '${name}':`, error);
+      }
+    }
+
+    this.componentHooks.dispose();
+    this._resetState();
+  }
+
+  /**
+   * Freezes gameplay. The loop keeps rendering, and systems registered with `runWhenPaused`
+   * keep running, so a pause menu or a free camera still work.
+   * Emits a `paused` event on the event bus.
+   *
+   * @example
+   * engine.on("paused", () => showPauseMenu());
+   * engine.pause();
+   */
+  pause() {
+    if (this.paused) {
+      return;
+    }
+    this.paused = true;
+    this.emit("paused", { frame: this.time.frame });
+  }
+
+  /**
+   * Resumes gameplay after a call to `pause()`.
+   * Emits a `resumed` event on the event bus.
+   */
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+    this.paused = false;
+    this.emit("resumed", { frame: this.time.frame });
+  }
+
+  /**
+   * Check if gameplay is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Scales the passage of game time. `1` is normal speed, `0.25` is bullet-time and `2` is fast-forward.
+   * Systems registered with `runWhenPaused` are not affected and always receive the real frame delta.
+   *
+   * @param {number} scale - A finite, non-negative multiplier for the frame delta.
+   * @throws {Error} If the scale is negative or not a finite number.
+   *
+   * @example
+   * engine.setTimeScale(0.2); // slow motion
+   */
+  setTimeScale(scale) {
+    if (!Number.isFinite(scale) || scale < 0) {
+      throw new Error(`Invalid time scale: ${scale}`);
+    }
+    this.timeScale = scale;
+  }
+
+  /**
+   * Returns the current time scale.
+   * @returns {number}
+   */
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  /**
+   * Returns the frame timings recorded by the profiler.
+   * Profiling is enabled with `PROFILER.ENABLED` (or `PROFILER.OVERLAY`) in the game config.
+   *
+   * Each frame records `totalMs`, `physicsMs`, `renderMs`, the number of `fixedSteps`,
+   * per-system `{ ms, calls }`, the total `entities`, entity counts per Miniplex query key
+   * and `renderer.info` statistics (`calls`, `triangles`, `geometries`, `textures`).
+   *
+   * @returns {{frames: object[], averages: object, latest: object|null}|null} The rolling history, oldest first,
+   *   with average timings over it, or `null` if profiling is disabled.
+   *
+   * @example
+   * const { averages } = engine.getProfile();
+   * console.table(averages.systems);
+   */
+  getProfile() {
+    return this.profiler ? this.profiler.getProfile() : null;
+  }
+
+  /**
+   * Returns the resolved game config: the config passed to `init()` (merged over the `createEngine` options)
+   * with every engine setting filled in with its default. Treat it as read-only.
+   *
+   * @returns {object} The resolved config.
+   * @throws {Error} If the engine has not been initialized.
+   *
+   * @example
+   * const { CAMERA } = engine.getConfig();
+   * console.log(CAMERA.FOV); // 75 unless the game set it
+   */
+  getConfig() {
+    if (!this.gameConfig) {
+      throw new Error("GameSystems not initialized. Call init() first.");
+    }
+    return this.gameConfig;
+  }
+
+  /**
+   * Changes engine settings while the game runs. `partial` is merged over the current config section by
+   * section, validated like the config passed to `init()`, and applied to the live resources: light colours,
+   * intensities and shadows, the shadow map, background colour, camera FOV/near/far and control speeds,
+   * Rapier gravity and the loop timestep. Only the changed settings are re-applied, so values a game set directly
+   * (e.g. a textured `scene.background`) survive unrelated updates. Any resource (including game resources) with an
+   * `applyConfig(config, previous, changed)` method receives the new config together with the changed paths.
+   *
+   * Afterwards a `config-changed` event is emitted with `{ config, previous, changed }`, where `changed`
+   * lists the paths of the changed values. Game sections (e.g. `PLAYER`) can be updated too.
+   *
+   * @param {object} partial - The settings to change.
+   * @returns {string[]} The paths of the changed values, e.g. `["LIGHTING.AMBIENT_INTENSITY"]`.
+   * @throws {Error} If the engine has not been initialized, if the resulting config is invalid, or if a setting that is
+   *   only read during `init()` would change (`canvas`, `headless`, `DEBUG`, `RENDERER.ANTIALIAS`, `PROFILER.ENABLED`,
+   *   `PROFILER.OVERLAY`, `assets`).
+   *
+   * @example
+   * engine.on("config-changed", ({ changed }) => console.log("Updated", changed));
+   * engine.updateConfig({
+   *   LIGHTING: { AMBIENT_INTENSITY: 0.1 },
+   *   PHYSICS: { GRAVITY: { x: 0, y: -3, z: 0 } },
+   * });
+   */
+  updateConfig(partial) {
+    const previous = this.getConfig();
+    const config = mergeConfig(previous, partial, this.warnedConfigKeys);
+    const changed = diffConfig(previous, config);
+    if (changed.length === 0) {
+      return changed;
+    }
+
+    this.gameConfig = config;
+    this._applyLoopConfig(config);
+
+    for (const name of this.resourceOrder) {
+      const { instance } = this.resources.get(name);
+      if (
+        !instance ||
+        instance === this ||
+        typeof instance.applyConfig !== "function"
+      ) {
+        continue;
+      }
+      try {
+        instance.applyConfig(config, previous, changed);
+      } catch (error) {
+        console.error(`Failed to apply config to resource '${name}':`, error);
+      }
+    }
+
+    this.emit("config-changed", { config, previous, changed });
+    return changed;
+  }
+
+  /**
+   * Reads the loop and error-handling settings the engine applies itself.
+   * @private
+   * @internal
+   */
+  _applyLoopConfig(config) {
+    this.time.fixedDelta = config.LOOP.FIXED_TIMESTEP;
+    this.maxSubsteps = config.LOOP.MAX_SUBSTEPS;
+    this.errorPolicy = config.SYSTEM_ERRORS.POLICY;
+    this.maxFailures = config.SYSTEM_ERRORS.MAX_FAILURES;
+  }
+
+  /**
+   * Advances a paused game by a number of fixed simulation steps, for frame-by-frame debugging.
+   * Each step runs every runtime system once with the fixed timestep and renders the result.
+   * If the engine is running, it is paused first.
+   *
+   * @param {number} [count=1] - The number of steps to advance.
+   * @throws {Error} If the engine has not been initialized.
+   *
+   * @example
+   * engine.pause();
+   * engine.step(); // advance one simulation tick
+   */
+  step(count = 1) {
+    if (!this.initialized) {
+      throw new Error("GameSystems not initialized. Call init() first.");
+    }
+    this.pause();
+
+    for (let i = 0; i < count && !this.halted; i++) {
+      // One fixed timestep of input always yields exactly one simulation step
+      this._advance(this.time.fixedDelta, this.time.fixedDelta, false);
+    }
+  }
+
+  /**
+   * Run setup system with dependency resolution
+   * @private
+   * @internal
+   */
+  async _runSetupSystem(setup, completed, inProgress, gameConfig) {
+    if (completed.has(setup)) {
+      return;
+    }
+
+    if (inProgress.has(setup)) {
+      throw new Error(
+        `Circular dependency detected in setup system: ${setup.name}`
+      );
+    }
+
+    inProgress.add(setup);
+
+    try {
+      // Make sure every dependency exists, creating or providing it first if needed
+      for (const depName of setup.dependencies) {
+        await this._resolveResource(
+          depName,
+          `Setup system '${setup.name}'`,
+          completed,
+          inProgress,
+          gameConfig
+        );
+      }
+
+      // Gather dependencies
+      const deps = this._getDependencies(setup.dependencies);
+
+      // Run setup system, passing the game config and engine instance
+      await setup.init(this.world, deps, gameConfig, this);
+
+      completed.add(setup);
+      inProgress.delete(setup);
+    } catch (error) {
+      inProgress.delete(setup);
+      throw new Error(`Setup system '${setup.name}' failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a registered resource once its own dependencies are available
+   * @private
+   * @internal
+   */
+  async _initResource(name, completed, inProgress, gameConfig) {
+    const resource = this.resources.get(name);
+    if (resource.instance) {
+      return;
+    }
+
+    if (inProgress.has(resource)) {
+      throw new Error(`Circular dependency detected in resource: ${name}`);
+    }
+
+    inProgress.add(resource);
+
+    try {
+      for (const depName of resource.dependencies) {
+        await this._resolveResource(
+          depName,
+          `Resource '${name}'`,
+          completed,
+          inProgress,
+          gameConfig
+        );
+      }
+
+      const deps = this._getDependencies(resource.dependencies);
+      resource.instance = await resource.factory(gameConfig, deps);
+      this.resourceOrder.push(name);
+    } finally {
+      inProgress.delete(resource);
+    }
+  }
+
+  /**
+   * Make a resource available: create it from its factory, or run the setup system that provides it
+   * @private
+   * @internal
+   */
+  async _resolveResource(name, requiredBy, completed, inProgress, gameConfig) {
+    const resource = this.resources.get(name);
+    if (resource?.instance) {
+      return;
+    }
+
+    if (resource?.factory) {
+      await this._initResource(name, completed, inProgress, gameConfig);
+      return;
+    }
+
+    const provider = this.setupSystems.find((setup) =>
+      setup.provides.includes(name)
+    );
+    if (!provider) {
+      throw new Error(`${requiredBy} requires unknown resource: ${name}`);
+    }
+
+    await this._runSetupSystem(provider, completed, inProgress, gameConfig);
+    if (!this.resources.get(name)?.instance) {
+      throw new Error(
+        `Setup system '${provider.name}' did not provide resource: ${name}`
+      );
+    }
+  }
+
+  /**
+   * Update all runtime systems (call every frame)
+   * Variable-rate systems run once with `deltaTime`. Fixed systems run as a group
+   * once per accumulated fixed timestep, at the position of the first fixed system.
+   * @param {number} deltaTime - Frame delta time in seconds
+   */
+  update(deltaTime) {
+    if (!this.initialized) {
+      throw new Error("GameSystems not initialized. Call init() first.");
+    }
+    if (this.halted) {
+      return;
+    }
+
+    // While paused, gameplay time stands still
+    const frozen = this.paused || this.timeScale === 0;
+    const gameDelta = frozen ? 0 : deltaTime * this.timeScale;
+    this._advance(deltaTime, gameDelta, frozen);
+  }
+
+  /**
+   * Advances the engine by one frame of `deltaTime` seconds. This is how a headless engine,
+   * which has no `requestAnimationFrame` loop, is driven from tests or a server.
+   *
+   * @param {number} [deltaTime] - Frame delta time in seconds. Defaults to the fixed timestep,
+   *   which yields exactly one simulation step.
+   * @throws {Error} If the engine has not been initialized.
+   *
+   * @example
+   * const sim = createEngine({ headless: true });
+   * await sim.init();
+   * for (let i = 0; i < 60; i++) sim.tick(); // one second of gameplay
+   */
+  tick(deltaTime = this.time.fixedDelta) {
+    this.update(deltaTime);
+  }
+
+  /**
+   * Runs one frame of runtime systems and renders it.
+   * When `frozen`, only the systems allowed to run while paused are executed.
+   * @private
+   * @internal
+   */
+  _advance(realDelta, gameDelta, frozen) {
+    this.time.delta = gameDelta;
+    this.time.unscaledDelta = realDelta;
+    this.time.frame++;
+    this.profiler?.beginFrame(this.time.frame);
 
-    try {
-      // Phase 1: Initialize all resources, passing the game config to their factories
-      for (const [name, resource] of this.resources) {
-        if (resource.factory) {
-          resource.instance = await resource.factory(gameConfig);
+    // Run all runtime systems in priority order
+    let fixedStepsRan = false;
+    for (const system of this.runtimeSystems) {
+      if (system.fixed) {
+        if (!fixedStepsRan && !frozen) {
+          this._runFixedSteps(gameDelta);
+          fixedStepsRan = true;
         }
+      } else if (system.runWhenPaused) {
+        this._runSystem(system, realDelta);
+      } else if (!frozen) {
+        this._runSystem(system, gameDelta);
       }
 
-      // Phase 2: Run setup systems in dependency order
-      const completed = new Set();
-      const inProgress = new Set();
-
-      for (const setup of this.setupSystems) {
-        await this._runSetupSystem(setup, completed, inProgress, gameConfig);
+      // A system failing under the 'halt' policy abandons the rest of the frame,
+      // but events queued before the failure are still delivered rather than
+      // left to arrive a frame late after clearHalt()
+      if (this.halted) {
+        this._flushEventQueue();
+        return;
       }
+    }
 
-      this.initialized = true;
-      this.start(); // Start the animation loop
-    } catch (error) {
-      console.error("❌ GameSystems initialization failed:", error);
-      throw error;
+    // Deliver queued events now that no system is iterating the world
+    this._flushEventQueue();
+
+    // After all systems have run, perform the final render
+    if (this.profiler) {
+      const renderStart = performance.now();
+      this.render();
+      this.profiler.endFrame(
+        this.world,
+        this.resources.get("renderer")?.instance,
+        performance.now() - renderStart
+      );
+    } else {
+      this.render();
     }
   }
 
   /**
-   * Kicks off and maintains the game loop.
+   * Advances the simulation by as many fixed steps as the accumulated time allows
+   * and updates the interpolation alpha for render-side systems.
    * @private
    * @internal
    */
-  start() {
-    const animate = () => {
-      const deltaTime = this.clock.getDelta();
-      this.update(deltaTime);
-      requestAnimationFrame(animate);
-    };
-    animate();
+  _runFixedSteps(deltaTime) {
+    const { fixedDelta } = this.time;
+
+    // Clamp the frame time so a long stall cannot trigger an unbounded number of steps
+    this.accumulator += Math.min(deltaTime, fixedDelta * this.maxSubsteps);
+
+    let steps = 0;
+    while (this.accumulator >= fixedDelta && steps < this.maxSubsteps) {
+      for (const system of this.runtimeSystems) {
+        if (system.fixed) {
+          this._runSystem(system, fixedDelta);
+          if (this.halted) {
+            return;
+          }
+        }
+      }
+      this.accumulator -= fixedDelta;
+      this.time.elapsed += fixedDelta;
+      this.profiler?.recordFixedStep();
+      steps++;
+    }
+
+    this.time.alpha = Math.min(this.accumulator / fixedDelta, 1);
   }
 
   /**
-   * Run setup system with dependency resolution
+   * Runs a single runtime system, isolating its failures from the rest of the frame.
    * @private
    * @internal
    */
-  async _runSetupSystem(setup, completed, inProgress, gameConfig) {
-    if (completed.has(setup.name)) {
+  _runSystem(system, deltaTime) {
+    if (!system.enabled) {
       return;
     }
 
-    if (inProgress.has(setup.name)) {
-      throw new Error(
-        `Circular dependency detected in setup system: ${setup.name}`
-      );
-    }
-
-    // Check if dependencies are satisfied
-    for (const depName of setup.dependencies) {
-      if (!this.resources.has(depName)) {
-        throw new Error(
-          `Setup system '${setup.name}' requires unknown resource: ${depName}`
-        );
-      }
-    }
-
-    inProgress.add(setup.name);
-
+    const start = this.profiler ? performance.now() : 0;
     try {
-      // Gather dependencies
-      const deps = this._getDependencies(setup.dependencies);
-
-      // Run setup system, passing the game config and engine instance
-      await setup.init(this.world, deps, gameConfig, this);
+      // Gather dependencies for this system
+      const deps = this._getDependencies(system.dependencies);
 
-      completed.add(setup.name);
-      inProgress.delete(setup.name);
+      // Run system update
+      system.update(this.world, deps, deltaTime);
+      system.failures = 0;
     } catch (error) {
-      inProgress.delete(setup.name);
-      throw new Error(`Setup system '${setup.name}' failed: ${error.message}`);
+      // Continue with other systems rather than crashing, unless the policy says otherwise
+      this._handleSystemError(system, error);
+    }
+    if (this.profiler) {
+      this.profiler.recordSystem(system.name, performance.now() - start);
     }
   }
 
   /**
-   * Update all runtime systems (call every frame)
-   * @param {number} deltaTime - Frame delta time in seconds
+   * Applies the system's error policy to a failed update and reports it on the event bus.
+   * Only the first failure since the system was registered or re-enabled and failures that
+   * disable a system or halt the loop are reported, so a system that keeps throwing, even
+   * intermittently, does not flood the console.
+   * @private
+   * @internal
    */
-  update(deltaTime) {
-    if (!this.initialized) {
-      throw new Error("GameSystems not initialized. Call init() first.");
+  _handleSystemError(system, error) {
+    system.failures++;
+    const policy = system.errorPolicy ?? this.errorPolicy;
+    const maxFailures = system.maxFailures ?? this.maxFailures;
+
+    let action = "continue";
+    if (policy === "halt") {
+      action = "halt";
+    } else if (policy === "disable" && system.failures >= maxFailures) {
+      action = "disable";
     }
 
-    // Run all runtime systems in priority order
-    for (const system of this.runtimeSystems) {
-      try {
-        // Gather dependencies for this system
-        const deps = this._getDependencies(system.dependencies);
+    if (action === "continue" && system.logged) {
+      return;
+    }
+    system.logged = true;
 
-        // Run system update
-        system.update(this.world, deps, deltaTime);
-      } catch (error) {
-        console.error(`Runtime system '${system.name}' failed:`, error);
-        // Continue with other systems rather than crashing
-      }
+    console.error(`Runtime system '${system.name}' failed:`, error);
+    if (action === "disable") {
+      system.enabled = false;
+      console.warn(
+        `Runtime system '${system.name}' disabled after ${system.failures} consecutive failures`
+      );
+    } else if (action === "halt") {
+      this.halted = true;
+      this.stop();
+      console.error(
+        `Game loop halted by failing runtime system '${system.name}'`
+      );
     }
 
-    // After all systems have run, perform the final render
-    this.render();
+    this.emit("system-error", {
+      system: system.name,
+      error,
+      frame: this.time.frame,
+      failures: system.failures,
+      action,
+    });
   }
 
   /**
@@ -354,6 +1750,261 @@ export class GameSystems {
     return this.world;
   }
 
+  /**
+   * Finds an entity by its id. Every entity added to the world gets a unique `id`
+   * (a number, unless the entity was added with its own), which stays the same for its lifetime.
+   * @param {number|string} id - The entity id.
+   * @returns {object|undefined} The entity, or `undefined` if no live entity has this id.
+   *
+   * @example
+   * const entity = world.add({ transform });
+   * engine.findEntityById(entity.id) === entity; // true
+   */
+  findEntityById(id) {
+    return this.entityIndex.findById(id);
+  }
+
+  /**
+   * Finds an entity by its `name` component. Names do not have to be unique; if several
+   * entities share a name, the first one added is returned.
+   * To rename an entity, remove its `name` component and add a new one so the lookup stays in sync.
+   * @param {string} name - The entity name.
+   * @returns {object|undefined} The entity, or `undefined` if no live entity has this name.
+   *
+   * @example
+   * world.add({ name: "player", transform, isPlayer: true });
+   * const player = engine.findEntityByName("player");
+   */
+  findEntityByName(name) {
+    return this.entityIndex.findByName(name);
+  }
+
+  /**
+   * Finds every entity with the given `name` component.
+   * @param {string} name - The entity name.
+   * @returns {object[]} The entities, in the order they were added.
+   */
+  findEntitiesByName(name) {
+    return this.entityIndex.findAllByName(name);
+  }
+
+  /**
+   * Registers callbacks that run when a component appears on or disappears from an entity. `onAdd` runs when an
+   * entity with the component is added to the world, when the component is added to an entity in the world, and
+   * right away for entities that already have it. `onRemove` runs when the entity is removed from the world or the
+   * component is removed from it, before the component is gone.
+   *
+   * The engine uses these hooks itself to free meshes and physics bodies. Hooks are forgotten on `dispose()`.
+   *
+   * @param {string} componentName - The component name, e.g. `"health"`.
+   * @param {object} hooks - The callbacks.
+   * @param {function(object): void} [hooks.onAdd] - Called with the entity that got the component.
+   * @param {function(object): void} [hooks.onRemove] - Called with the entity that is losing the component.
+   * @returns {function(): void} A function that unregisters the hooks.
+   * @throws {Error} If no hook is given, or a hook is not a function.
+   *
+   * @example
+   * engine.registerComponentHooks("particleEmitter", {
+   *   onAdd: (entity) => scene.add(entity.particleEmitter.points),
+   *   onRemove: (entity) => scene.remove(entity.particleEmitter.points),
+   * });
+   */
+  registerComponentHooks(componentName, { onAdd, onRemove } = {}) {
+    for (const hook of [onAdd, onRemove]) {
+      if (hook !== undefined && typeof hook !== "function") {
+        throw new Error(
+          `Component hooks for '${componentName}' must be functions.`
+        );
+      }
+    }
+    if (!onAdd && !onRemove) {
+      throw new Error(
+        `Component hooks for '${componentName}' need an onAdd or onRemove function.`
+      );
+    }
+    return this.componentHooks.register(componentName, { onAdd, onRemove });
+  }
+
+  /**
+   * Attaches an entity to a parent entity, or detaches it. A child's `transform` is computed every frame from
+   * its parent's world transform and its own `localTransform` (position, rotation and scale relative to the parent).
+   *
+   * When the parent is removed from the world, its children are destroyed or detached according to
+   * `HIERARCHY.ON_PARENT_REMOVED` (`'destroy'` by default), or the child's own `onParentRemoved` component.
+   *
+   * @param {object} entity - The entity to attach or detach.
+   * @param {object|null} parent - The new parent, or `null` to detach the entity and keep it where it is.
+   * @param {object} [options={}] - Options.
+   * @param {boolean} [options.keepWorldPose=true] - If true, the entity keeps its current world position, rotation and
+   *   scale, and its local transform is computed from them. If false, its current `localTransform` is kept.
+   * @throws {Error} If `parent` is the entity itself or one of its descendants.
+   *
+   * @example
+   * // Put a sword in the player's hand, 0.5 units to the right
+   * const sword = engine.spawn("sword");
+   * engine.setParent(sword, player, { keepWorldPose: false });
+   * sword.localTransform.position.set(0.5, 1, 0);
+   */
+  setParent(entity, parent, { keepWorldPose = true } = {}) {
+    this.hierarchy.setParent(entity, parent, keepWorldPose);
+  }
+
+  /**
+   * Returns the direct children of an entity.
+   * @param {object} entity - The parent entity.
+   * @returns {object[]} Its children.
+   */
+  getChildren(entity) {
+    return this.hierarchy.getChildren(entity);
+  }
+
+  /**
+   * Defines a prefab: a reusable entity template that `spawn()` turns into entities.
+   *
+   * The definition is either an object of components, a function returning one (called on every spawn with
+   * the spawn overrides), or the key of a JSON asset listed in the `assets` config. A JSON prefab file looks like
+   * `{ "extends": "character", "components": { "transform": { "position": [0, 1, 0] } } }`.
+   * Vectors and quaternions in prefab data may be Three.js objects, `{x, y, z}` objects or arrays.
+   *
+   * @param {string} name - A unique prefab name.
+   * @param {object|function(object): object|string} definition - The components, a function returning them, or a JSON asset key.
+   * @param {object} [options={}] - Prefab options.
+   * @param {string} [options.extends] - A prefab whose components this one inherits and overrides. It may be defined later.
+   * @throws {Error} If a prefab with this name already exists, or the definition has an unsupported type.
+   *
+   * @example
+   * engine.definePrefab("character", {
+   *   transform: CoreComponents.createTransform(),
+   *   movementState: CoreComponents.createMovementState(),
+   *   health: { current: 100, max: 100 },
+   * });
+   * engine.definePrefab("enemy", { isEnemy: true, health: { max: 50 } }, { extends: "character" });
+   */
+  definePrefab(name, definition, options = {}) {
+    if (this.prefabs.has(name)) {
+      throw new Error(`Prefab '${name}' is already defined.`);
+    }
+    this.prefabs.set(name, createPrefab(name, definition, options));
+  }
+
+  /**
+   * Adds a new entity built from a prefab. The prefab's components (including inherited ones) are merged with
+   * `overrides`: plain objects are merged key by key, other values replace the prefab's, and `undefined` removes
+   * a component. Every entity gets its own copies of the data, and a `prefab` component with the prefab name.
+   *
+   * @param {string} name - The prefab name.
+   * @param {object} [overrides={}] - Components to add or change on this entity.
+   * @returns {object} The new entity.
+   * @throws {Error} If the prefab or a prefab it extends is unknown, inheritance is circular, or a JSON prefab asset is not loaded.
+   *
+   * @example
+   * const enemy = engine.spawn("enemy", {
+   *   transform: { position: [10, 0, 5] },
+   *   health: { current: 25 },
+   * });
+   */
+  spawn(name, overrides = {}) {
+    const assets = this.resources.get("assets")?.instance;
+    return this.world.add(
+      buildPrefab(name, this.prefabs, overrides, { world: this.world, assets })
+    );
+  }
+
+  /**
+   * Registers how a game component is saved and loaded. Components without a serializer are saved as-is,
+   * which works for plain data (numbers, strings, arrays, plain objects, Three.js vectors, quaternions, colors
+   * and eulers, and references to other entities).
+   *
+   * @param {string} componentName - The component name, e.g. `"inventory"`.
+   * @param {object|null} serializer - The serializer, or `null` for runtime state that is never saved.
+   * @param {function(any, {encode: function}): any} serializer.serialize - Converts the component to JSON-compatible data.
+   *   `encode` converts plain data and entity references the default way.
+   * @param {function(any, {decode: function}): any} serializer.deserialize - Recreates the component from saved data.
+   *   `decode` restores values written by `encode`.
+   *
+   * @example
+   * engine.registerComponentSerializer("inventory", {
+   *   serialize: (inventory) => ({ items: [...inventory.items] }),
+   *   deserialize: (data) => ({ items: new Set(data.items) }),
+   * });
+   * engine.registerComponentSerializer("particleEmitter", null); // Rebuilt by a system
+   */
+  registerComponentSerializer(componentName, serializer) {
+    if (
+      serializer !== null &&
+      (typeof serializer?.serialize !== "function" ||
+        typeof serializer?.deserialize !== "function")
+    ) {
+      throw new Error(
+        `Serializer for component '${componentName}' must have serialize and deserialize functions, or be null.`
+      );
+    }
+    this.componentSerializers.set(componentName, serializer);
+  }
+
+  /**
+   * Saves the state of every entity as versioned JSON. Entities with an `excludeFromSave` component
+   * (e.g. generated terrain that setup systems recreate) are skipped, and so is runtime state the engine
+   * rebuilds on load: meshes, physics bodies and animation mixers.
+   *
+   * @returns {string} The save data as a JSON string.
+   * @throws {Error} If a component without a serializer holds something other than plain data.
+   *
+   * @example
+   * localStorage.setItem("save", engine.saveWorld());
+   */
+  saveWorld() {
+    return JSON.stringify(
+      serializeWorld(this.world, this.componentSerializers)
+    );
+  }
+
+  /**
+   * Replaces the saved entities with the ones in `json`. Every entity except those with `excludeFromSave`
+   * is removed, together with its mesh and physics body, and the saved entities are added with their ids.
+   * Physics bodies are created right away by the registered body factories; meshes are rebuilt by the
+   * `sceneManagementSystem` on the next frame. Emits a `world-loaded` event with `{ entities }`.
+   *
+   * @param {string|object} json - Data from `saveWorld()`, as a string or parsed.
+   * @returns {object[]} The loaded entities.
+   * @throws {Error} If the engine has not been initialized, or the data is invalid or from a newer format version.
+   *   The world is left untouched in that case.
+   *
+   * @example
+   * const save = localStorage.getItem("save");
+   * if (save) engine.loadWorld(save);
+   */
+  loadWorld(json) {
+    if (!this.initialized) {
+      throw new Error("GameSystems not initialized. Call init() first.");
+    }
+
+    // Restore everything before touching the world, so invalid data leaves it intact.
+    // References resolve to the restored entities first; only entities that stay in the
+    // world (those with `excludeFromSave`) can be found beyond them.
+    const entities = deserializeWorld(json, this.componentSerializers, (id) => {
+      const entity = this.findEntityById(id);
+      return entity?.excludeFromSave ? entity : undefined;
+    });
+
+    // Component hooks free the removed entities' meshes and bodies right away
+    for (const entity of [...this.world]) {
+      if (!entity.excludeFromSave) {
+        this.world.remove(entity);
+      }
+    }
+
+    for (const entity of entities) {
+      this.world.add(entity);
+    }
+    physicsBodySetupSystem(this.world, {
+      physics: this.getResource("physics"),
+    });
+
+    this.emit("world-loaded", { entities });
+    return entities;
+  }
+
   /**
    * Check if the system manager is initialized
    * @returns {boolean}
@@ -393,7 +2044,10 @@ export class GameSystems {
         throw new Error(`Resource '${name}' already exists.`);
       }
     }
-    this.resources.set(name, { factory: null, instance });
+    this.resources.set(name, { factory: null, dependencies: [], instance });
+    if (!this.resourceOrder.includes(name)) {
+      this.resourceOrder.push(name);
+    }
   }
 
   /**
@@ -405,34 +2059,46 @@ export class GameSystems {
     // === REGISTER CORE RESOURCES ===
     // These are the foundational services of the engine.
     this.addResource("eventBus", this);
+    this.addResource("time", this.time);
 
-    this.registerResource(
-      "renderer",
-      async (config) => await setupRenderer(config)
+    // Per-instance state for core systems that remember things between frames
+    this.addResource("cameraCollisionState", createCameraCollisionState());
+
+    // Headless engines swap in stand-ins that never touch the DOM or WebGL
+    this.registerResource("renderer", async (config) =>
+      config.headless
+        ? await setupHeadlessRenderer(config)
+        : await setupRenderer(config)
     );
     this.registerResource(
       "physics",
       async (config) => await setupPhysics(config)
     );
-    this.registerResource("input", async (config) => await setupInput(config));
-    this.registerResource(
-      "assets",
-      async (config) => await setupAssetManager(config)
+    this.registerResource("input", async (config) =>
+      config.headless
+        ? await setupHeadlessInput(config)
+        : await setupInput(config)
     );
+    this.registerResource("assets", {
+      dependencies: ["eventBus"],
+      factory: async (config, { eventBus }) =>
+        await setupAssetManager(config, eventBus),
+    });
 
-    // === CORE SETUP SYSTEMS (Run Once During Init) ===
-    this.registerSetup("lighting", {
+    this.registerResource("lighting", {
       dependencies: ["renderer"],
-      init: async (world, dependencies, config) => {
-        const lightingResources = await setupLighting(
-          world,
-          dependencies,
-          config
-        );
-        this.addResource("lighting", lightingResources);
-      },
+      factory: async (config, dependencies) =>
+        await setupLighting(config, dependencies),
+    });
+    this.registerResource("camera", {
+      dependencies: ["renderer"],
+      factory: async (config, dependencies) =>
+        config.headless
+          ? await setupHeadlessCamera(config)
+          : await setupCamera(config, dependencies),
     });
 
+    // === CORE SETUP SYSTEMS (Run Once During Init) ===
     this.registerSetup("physicsBodyCreation", {
       dependencies: ["physics"],
       init: (world, dependencies) =>
@@ -442,138 +2108,228 @@ export class GameSystems {
     // The game template will be responsible for player and terrain setup
     // so those are NOT registered here.
 
-    this.registerSetup("camera", {
-      dependencies: ["renderer"],
-      init: async (world, dependencies, config) => {
-        const cameraResources = await setupCamera(world, dependencies, config);
-        this.addResource("camera", cameraResources);
+    // === CORE COMPONENT HOOKS ===
+    // Free meshes and physics bodies as soon as their component or entity is removed,
+    // and let released assets be unloaded once no entity uses them
+    this.registerComponentHooks("renderable", {
+      onRemove: (entity) => {
+        if (entity.renderable.mesh) {
+          disposeRenderable(entity.renderable, this.getResource("renderer"));
+        }
+        this.resources.get("assets")?.instance?.removeReferences(entity);
       },
     });
+    this.registerComponentHooks("physicsBody", {
+      onRemove: (entity) =>
+        removePhysicsBody(entity.physicsBody, this.getResource("physics")),
+    });
 
     // === CORE RUNTIME SYSTEMS (Run Every Frame) ===
     this.registerSystem("inputInterpretation", {
       dependencies: ["input"],
       update: (world, dependencies) => inputSystem(world, dependencies),
+      stage: "input",
       priority: 10,
+      runWhenPaused: true,
     });
 
     this.registerSystem("cameraInput", {
       dependencies: ["camera"],
       update: (world, { camera }) => cameraInputSystem(world, camera.camera),
+      stage: "input",
       priority: 20,
+      runWhenPaused: true,
     });
     this.registerSystem("pointerLock", {
       dependencies: ["camera", "input"],
       update: (world, { camera, input }, deltaTime) => {
         pointerLockSystem(camera.controls, input, this.gameConfig);
       },
+      stage: "input",
       priority: 21, // Run after camera input
+      runWhenPaused: true,
     });
 
-    // Game-specific playerMovementSystem runs at priority 30
+    // Game-specific movement systems run in the "preUpdate" stage (priority 30-34)
 
     this.registerSystem("componentMovement", {
       dependencies: ["physics"],
       update: (world, { physics }) =>
         componentMovementSystem(world, physics.world),
+      stage: "simulation",
       priority: 35,
+      fixed: true,
     });
 
     this.registerSystem("physicsStep", {
       dependencies: ["physics"],
       update: (world, { physics }) =>
         stepPhysics(physics.world, physics.eventQueue),
+      stage: "simulation",
       priority: 40,
+      fixed: true,
     });
 
     this.registerSystem("characterControllerCollisionProcessing", {
       dependencies: ["physics", "eventBus"],
       update: (world, dependencies) =>
         characterControllerCollisionSystem(world, dependencies),
+      stage: "postPhysics",
       priority: 41, // Run after physics step, before regular collision processing
+      fixed: true,
     });
 
     this.registerSystem("collisionProcessing", {
       dependencies: ["physics", "eventBus"],
       update: (world, dependencies) => collisionSystem(world, dependencies),
+      stage: "postPhysics",
       priority: 42, // Run right after character controller collision processing
+      fixed: true,
     });
 
     this.registerSystem("triggerDetection", {
       dependencies: ["eventBus"],
       update: (world, { eventBus }) => triggerDetectionSystem(world, eventBus),
+      stage: "postPhysics",
       priority: 43, // Run after physics but before rendering
+      fixed: true,
     });
 
     this.registerSystem("physicsStateSync", {
       dependencies: ["physics"],
       update: (world, { physics }) =>
         physicsStateSyncSystem(world, physics.world),
+      stage: "postPhysics",
       priority: 45, // CRITICAL: Run AFTER physics step
+      fixed: true,
     });
 
     this.registerSystem("sceneManagement", {
-      dependencies: ["assets", "renderer", "physics"],
+      dependencies: ["assets", "renderer"],
       update: (world, dependencies) =>
         sceneManagementSystem(world, dependencies),
+      stage: "animation",
       priority: 50,
     });
 
     this.registerSystem("animationSetup", {
       update: (world, _) => animationSetupSystem(world),
+      stage: "animation",
       priority: 52,
     });
 
     this.registerSystem("animation", {
       update: (world, deps, deltaTime) => animationSystem(world, deltaTime),
+      stage: "animation",
       priority: 55,
     });
 
     this.registerSystem("parenting", {
       update: (world) => parentingSystem(world),
+      stage: "preRender",
       priority: 60, // Run after parent positions are updated, before visuals are synced
     });
 
     this.registerSystem("transformSync", {
-      update: (world) => transformSyncSystem(world),
+      dependencies: ["time"],
+      update: (world, { time }) => transformSyncSystem(world, time.alpha),
+      stage: "preRender",
       priority: 65,
     });
 
     this.registerSystem("camera-collision", {
-      dependencies: ["camera"],
-      update: (world, { camera }) =>
-        physicsCameraCollisionSystem(world, camera),
+      dependencies: ["camera", "cameraCollisionState"],
+      update: (world, { camera, cameraCollisionState }) =>
+        physicsCameraCollisionSystem(world, camera, cameraCollisionState),
+      stage: "preRender",
       priority: 74, // Run just before camera update
+      runWhenPaused: true,
     });
 
     this.registerSystem("cameraUpdate", {
-      dependencies: ["camera"],
-      update: (world, { camera }, deltaTime) =>
-        cameraUpdateSystem(world, camera.controls, deltaTime),
+      dependencies: ["camera", "time"],
+      update: (world, { camera, time }, deltaTime) =>
+        cameraUpdateSystem(world, camera, deltaTime, time.alpha),
+      stage: "preRender",
       priority: 75,
+      runWhenPaused: true,
     });
   }
 
   /**
    * Subscribes to an engine event.
    * The event bus is used for decoupled communication between systems. The engine instance itself serves as the main event bus.
-   * For example, the collision system emits 'collision-enter' events,
+   * For example, the collision system emits 'collision-started' events,
    * and game logic can listen for these events without having a direct reference to the collision system.
    *
-   * @param {string} eventName - The name of the event to listen for (e.g., 'collision-enter', 'score-updated').
-   * @param {function(any): void} callback - The function to call when the event is emitted. It will receive the event data as its only argument.
+   * An event name containing `*` subscribes to every matching event, e.g. `'collision-*'` or `'*'`.
+   * Listeners with a higher priority run first; listeners with equal priority run in subscription order.
+   *
+   * @param {string} eventName - The name of the event to listen for (e.g., 'collision-started', 'score-updated'), or a wildcard pattern.
+   * @param {function(any, string): void} callback - The function to call when the event is emitted.
+   *   It receives the event data and the name of the emitted event.
+   * @param {object} [options] - Subscription options.
+   * @param {number} [options.priority=0] - Listeners with a higher priority are called first.
+   * @param {boolean} [options.once=false] - If true, the listener is removed after its first call.
+   * @returns {function(): void} A function that removes this listener.
    *
    * @example
-   * engine.on("player-death", (eventData) => {
+   * const unsubscribe = engine.on("player-death", (eventData) => {
    *   console.log(`Player died because: ${eventData.reason}`);
    *   // Show game over screen
    * });
+   * // later...
+   * unsubscribe();
+   *
+   * @example
+   * // Log every collision event before any gameplay listener sees it
+   * engine.on("collision-*", (data, eventName) => console.log(eventName, data), { priority: 100 });
    */
-  on(eventName, callback) {
-    if (!this.eventListeners.has(eventName)) {
-      this.eventListeners.set(eventName, []);
+  on(eventName, callback, { priority = 0, once = false } = {}) {
+    const listener = {
+      callback,
+      priority,
+      once,
+      order: this.listenerCount++,
+    };
+
+    let listeners;
+    if (eventName.includes("*")) {
+      if (!this.wildcardListeners.has(eventName)) {
+        this.wildcardListeners.set(eventName, {
+          pattern: wildcardToRegExp(eventName),
+          listeners: [],
+        });
+      }
+      listeners = this.wildcardListeners.get(eventName).listeners;
+    } else {
+      if (!this.eventListeners.has(eventName)) {
+        this.eventListeners.set(eventName, []);
+      }
+      listeners = this.eventListeners.get(eventName);
     }
-    this.eventListeners.get(eventName).push(callback);
+
+    // Insert after every listener with the same or a higher priority
+    const index = listeners.findIndex((other) => other.priority < priority);
+    listeners.splice(index === -1 ? listeners.length : index, 0, listener);
+
+    return () => this._removeListener(eventName, listener);
+  }
+
+  /**
+   * Subscribes to an engine event for a single call. The listener is removed before it runs.
+   *
+   * @param {string} eventName - The name of the event to listen for, or a wildcard pattern.
+   * @param {function(any, string): void} callback - The function to call when the event is emitted.
+   * @param {object} [options] - Subscription options.
+   * @param {number} [options.priority=0] - Listeners with a higher priority are called first.
+   * @returns {function(): void} A function that removes the listener if it has not run yet.
+   *
+   * @example
+   * engine.once("level-loaded", () => hideLoadingScreen());
+   */
+  once(eventName, callback, { priority = 0 } = {}) {
+    return this.on(eventName, callback, { priority, once: true });
   }
 
   /**
@@ -581,7 +2337,7 @@ export class GameSystems {
    * It is good practice to unsubscribe listeners when they are no longer needed to prevent memory leaks,
    * for example, when a UI element that was listening for an event is destroyed.
    *
-   * @param {string} eventName - The name of the event.
+   * @param {string} eventName - The name of the event or wildcard pattern the listener was subscribed with.
    * @param {function(any): void} callback - The specific callback function instance to remove.
    *
    * @example
@@ -591,17 +2347,19 @@ export class GameSystems {
    * engine.off('resize', handleResize);
    */
   off(eventName, callback) {
-    if (this.eventListeners.has(eventName)) {
-      const listeners = this.eventListeners.get(eventName);
-      const index = listeners.indexOf(callback);
-      if (index > -1) {
-        listeners.splice(index, 1);
-      }
+    const listeners = eventName.includes("*")
+      ? this.wildcardListeners.get(eventName)?.listeners
+      : this.eventListeners.get(eventName);
+    const listener = listeners?.find((entry) => entry.callback === callback);
+    if (listener) {
+      this._removeListener(eventName, listener);
     }
   }
 
   /**
    * Emits an engine event, calling all subscribed listeners with the provided data.
+   * Listeners run immediately, inside the caller. Systems that emit while iterating the world
+   * should use `queue()` instead, so listeners can safely add or remove entities.
    *
    * @param {string} eventName - The name of the event to emit.
    * @param {any} [data] - The data payload to pass to the event listeners. This can be any type of data (object, string, number, etc.).
@@ -619,15 +2377,85 @@ export class GameSystems {
    * });
    */
   emit(eventName, data) {
-    if (this.eventListeners.has(eventName)) {
-      // Create a copy of the listeners array in case a listener modifies the original array (e.g., by unsubscribing)
-      const listeners = [...this.eventListeners.get(eventName)];
-      for (const listener of listeners) {
-        try {
-          listener(data);
-        } catch (error) {
-          console.error(`Error in event listener for '${eventName}':`, error);
-        }
+    // Copy the listeners in case a listener modifies the original array (e.g., by unsubscribing)
+    let listeners = [...(this.eventListeners.get(eventName) || [])];
+    let matchedWildcard = false;
+    for (const {
+      pattern,
+      listeners: wildcard,
+    } of this.wildcardListeners.values()) {
+      if (wildcard.length > 0 && pattern.test(eventName)) {
+        listeners.push(...wildcard);
+        matchedWildcard = true;
+      }
+    }
+    if (matchedWildcard) {
+      listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    }
+
+    for (const listener of listeners) {
+      if (listener.once) {
+        this._removeListener(eventName, listener);
+      }
+      try {
+        listener.callback(data, eventName);
+      } catch (error) {
+        console.error(`Error in event listener for '${eventName}':`, error);
+      }
+    }
+  }
+
+  /**
+   * Queues an engine event to be emitted at the end of the current frame, after every runtime
+   * system has run and before rendering. Use this from systems that are iterating the world, so
+   * listeners that add or remove entities never run inside an engine loop. Events queued while the
+   * queue is being delivered are emitted at the end of the next frame.
+   *
+   * @param {string} eventName - The name of the event to emit.
+   * @param {any} [data] - The data payload to pass to the event listeners.
+   *
+   * @example
+   * for (const enemy of world.with("health")) {
+   *   if (enemy.health.value <= 0) {
+   *     eventBus.queue("enemy-defeated", { enemy }); // a listener may world.remove(enemy)
+   *   }
+   * }
+   */
+  queue(eventName, data) {
+    this.eventQueue.push({ eventName, data });
+  }
+
+  /**
+   * Emit every event queued before this call.
+   * @private
+   * @internal
+   */
+  _flushEventQueue() {
+    const pending = this.eventQueue;
+    this.eventQueue = [];
+    for (const { eventName, data } of pending) {
+      this.emit(eventName, data);
+    }
+  }
+
+  /**
+   * Remove one listener entry, whether it was subscribed by name or by pattern.
+   * @private
+   * @internal
+   */
+  _removeListener(eventName, listener) {
+    const listeners = this.eventListeners.get(eventName) || [];
+    let index = listeners.indexOf(listener);
+    if (index > -1) {
+      listeners.splice(index, 1);
+      return;
+    }
+    // A 'once' wildcard listener is removed while handling a concrete event name
+    for (const { listeners: wildcard } of this.wildcardListeners.values()) {
+      index = wildcard.indexOf(listener);
+      if (index > -1) {
+        wildcard.splice(index, 1);
+        return;
       }
     }
   }
@@ -5,5 +5,20 @@ import * as CoreComponents from "./components/index.js";
 // It is instantiated here, within the engine's private scope.
 const engine = new GameSystems();
 
+/**
+ * Creates an independent engine instance with its own world, resources and game loop.
+ * Use this to run several games on one page (e.g. side-by-side previews) or isolated instances in tests.
+ * @memberof module:Engine
+ * @param {object} [options={}] - Default game configuration for the instance, merged underneath the config passed to `init()`.
+ * @returns {GameSystems} A new engine instance.
+ * @example
+ * const preview = createEngine({ canvas: previewCanvas });
+ * preview.registerSetup("create-scene", { init: (world) => { ... } });
+ * await preview.init();
+ */
+function createEngine(options = {}) {
+  return new GameSystems(options);
+}
+
 // Export a curated public API.
-export { engine, CoreComponents };
+export { engine, createEngine, CoreComponents };
@@ -0,0 +1,225 @@
+/**
+ * @module Prefabs
+ * @description
+ * Builds the components of an entity from a prefab: a reusable entity template defined with
+ * `engine.definePrefab()` and instantiated with `engine.spawn()`.
+ *
+ * A prefab's components are merged over those of the prefab it extends, then the spawn
+ * overrides are merged over the result. Plain objects are merged key by key; any other value
+ * replaces the inherited one, and `undefined` removes the component. Every spawned entity gets
+ * its own copy of the data: core components are rebuilt with their factories (`createTransform`
+ * and friends), plain objects and arrays are deep-copied and Three.js math values are cloned.
+ */
+
+import * as THREE from "three";
+import { createTransform } from "./components/transform.js";
+import { createMovementState } from "./components/movementState.js";
+import { createCameraDirection } from "./components/cameraDirection.js";
+import { createStateMachine } from "./components/stateMachine.js";
+
+// Three.js math values, which are cloned instead of shared between entities
+const THREE_VALUE_FLAGS = [
+  "isVector2",
+  "isVector3",
+  "isVector4",
+  "isQuaternion",
+  "isColor",
+  "isEuler",
+];
+
+// Core components rebuilt with their factories. Vectors and quaternions may be given as
+// Three.js objects, `{x, y, z(, w)}` objects or arrays, so prefabs can be written as JSON.
+const COMPONENT_BUILDERS = {
+  transform: (data) =>
+    createTransform(
+      toVector3(data.position, [0, 0, 0]),
+      toQuaternion(data.rotation),
+      toVector3(data.scale, [1, 1, 1])
+    ),
+  localTransform: (data) => COMPONENT_BUILDERS.transform(data),
+  movementState: (data) =>
+    createMovementState(
+      toVector3(data.velocity, [0, 0, 0]),
+      toVector3(data.direction, [0, 0, 0]),
+      data.grounded,
+      data.verticalVelocity,
+      data.speed
+    ),
+  cameraDirection: (data) =>
+    createCameraDirection(
+      toVector3(data.forward, [0, 0, -1]),
+      toVector3(data.right, [1, 0, 0])
+    ),
+  // Every entity starts its own run of the machine
+  stateMachine: ({ currentState, stateTime, ...definition }, clone) =>
+    createStateMachine(clone(definition)),
+  triggerZone: ({ currentlyInside, ...zone }, clone) => ({
+    ...clone(zone),
+    currentlyInside: new Set(),
+  }),
+  renderable: ({ mesh, ...renderable }, clone) => ({
+    ...clone(renderable),
+    needsMesh: true,
+  }),
+};
+
+/**
+ * Validates a prefab definition.
+ * @param {string} name - The prefab name.
+ * @param {object|function|string} definition - The components, a function returning them, or the key of a JSON prefab asset.
+ * @param {object} [options={}] - Prefab options.
+ * @param {string} [options.extends] - The prefab this one inherits components from.
+ * @returns {{name: string, definition: object|function|string, extends: string|undefined}} The prefab.
+ * @throws {Error} If the definition has an unsupported type.
+ */
+export function createPrefab(name, definition, options = {}) {
+  const valid =
+    typeof definition === "function" ||
+    typeof definition === "string" ||
+    isPlainObject(definition);
+  if (!valid) {
+    throw new Error(
+      `Prefab '${name}' must be defined with a components object, a function returning one, or a JSON asset key.`
+    );
+  }
+  return { name, definition, extends: options.extends };
+}
+
+/**
+ * Builds the components of a new entity from a prefab and its ancestors.
+ * @param {string} name - The prefab to build.
+ * @param {Map<string, object>} prefabs - Defined prefabs by name.
+ * @param {object} overrides - Components merged over the prefab's.
+ * @param {object} context - Engine state the prefab may need.
+ * @param {World} context.world - The ECS world; references to its entities are never copied.
+ * @param {AssetManager} [context.assets] - The asset manager, for JSON prefabs.
+ * @returns {object} The components for `world.add()`.
+ * @throws {Error} If a prefab is unknown, extends itself, or its JSON asset is not loaded.
+ */
+export function buildPrefab(name, prefabs, overrides, context) {
+  const clone = (value) => cloneValue(value, context.world);
+  const merged = mergeComponents(
+    collectComponents(name, prefabs, overrides, context, []),
+    overrides,
+    context.world
+  );
+
+  const components = {};
+  for (const [component, value] of Object.entries(merged)) {
+    if (value === undefined) {
+      continue;
+    }
+    const builder = COMPONENT_BUILDERS[component];
+    components[component] =
+      builder && isPlainObject(value) ? builder(value, clone) : clone(value);
+  }
+  components.prefab = name;
+  return components;
+}
+
+function collectComponents(name, prefabs, overrides, context, chain) {
+  if (chain.includes(name)) {
+    throw new Error(
+      `Prefab '${chain[0]}' has an inheritance cycle: ${[...chain, name].join(
+        " → "
+      )}`
+    );
+  }
+  const prefab = prefabs.get(name);
+  if (!prefab) {
+    throw new Error(
+      chain.length > 0
+        ? `Prefab '${
+            chain[chain.length - 1]
+          }' extends unknown prefab '${name}'.`
+        : `Unknown prefab '${name}'.`
+    );
+  }
+
+  let components;
+  let parent = prefab.extends;
+  if (typeof prefab.definition === "function") {
+    components = prefab.definition(overrides);
+  } else if (typeof prefab.definition === "string") {
+    // JSON prefab files have the shape { "extends": "character", "components": { ... } }
+    const data = context.assets?.get(prefab.definition);
+    if (!data) {
+      throw new Error(
+        `Prefab '${name}' uses asset '${prefab.definition}', which is not loaded. Add it to the 'assets' config.`
+      );
+    }
+    components = data.components || {};
+    parent = parent ?? data.extends;
+  } else {
+    components = prefab.definition;
+  }
+
+  const inherited = parent
+    ? collectComponents(parent, prefabs, overrides, context, [...chain, name])
+    : {};
+  return mergeComponents(inherited, components, context.world);
+}
+
+function mergeComponents(base, overrides, world) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] =
+      isMergeable(value, world) && isMergeable(base[key], world)
+        ? mergeComponents(base[key], value, world)
+        : value;
+  }
+  return merged;
+}
+
+function isMergeable(value, world) {
+  return isPlainObject(value) && !world.has(value);
+}
+
+function cloneValue(value, world) {
+  if (Array.isArray(value)) {
+    return value.map((item) => cloneValue(item, world));
+  }
+  if (value === null || typeof value !== "object" || world.has(value)) {
+    return value;
+  }
+  if (THREE_VALUE_FLAGS.some((flag) => value[flag])) {
+    return value.clone();
+  }
+  if (!isPlainObject(value)) {
+    // Functions and other objects (e.g. shared geometries) are shared between entities
+    return value;
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = cloneValue(item, world);
+  }
+  return copy;
+}
+
+function toVector3(value, fallback) {
+  if (value === undefined) {
+    return new THREE.Vector3().fromArray(fallback);
+  }
+  if (Array.isArray(value)) {
+    return new THREE.Vector3().fromArray(value);
+  }
+  return new THREE.Vector3(value.x, value.y, value.z);
+}
+
+function toQuaternion(value) {
+  if (value === undefined) {
+    return new THREE.Quaternion();
+  }
+  if (Array.isArray(value)) {
+    return new THREE.Quaternion().fromArray(value);
+  }
+  return new THREE.Quaternion(value.x, value.y, value.z, value.w);
+}
+
+function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
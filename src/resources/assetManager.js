@@ -2,36 +2,256 @@
  * ASSET MANAGER
  *
  * A simple asset manager for preloading and caching game assets.
- * Currently supports GLTF models and textures.
+ * Supports GLTF models, textures, cube maps, equirectangular HDR/EXR
+ * environment maps and JSON data (e.g. prefab files). The loader is chosen
+ * by an asset's `type`, or else by the extension of its URL.
+ *
+ * Assets loaded through `preload`, `load` or `loadAsset` report their progress
+ * on the event bus: `asset-progress` while bytes arrive, then `asset-loaded` or
+ * `asset-error`. Every event carries the asset's `key` and the aggregate
+ * progress from `getProgress()`. Progress is counted per batch: a load started
+ * after every earlier one has settled begins a new batch.
+ *
+ * Assets can also be streamed in while the game runs with `load`, and unloaded
+ * with `release`. Entities that use an asset hold a reference to it (see
+ * `addReference`), so a released asset is only disposed once no entity uses it.
  */
 
 import * as THREE from "three";
 import * as SkeletonUtils from "three/addons/utils/SkeletonUtils.js";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
+import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
+import { ASSET_TYPES } from "../configSchema.js";
+import { disposeObjectTree } from "./renderer/disposal.js";
+
+// Asset types by file extension
+const EXTENSION_TYPES = {
+  gltf: "gltf",
+  glb: "gltf",
+  png: "texture",
+  jpg: "texture",
+  jpeg: "texture",
+  webp: "texture",
+  gif: "texture",
+  avif: "texture",
+  hdr: "hdr",
+  exr: "exr",
+  json: "json",
+};
+
+const COLOR_SPACES = {
+  srgb: THREE.SRGBColorSpace,
+  linear: THREE.LinearSRGBColorSpace,
+  none: THREE.NoColorSpace,
+};
+
+const WRAP_MODES = {
+  clamp: THREE.ClampToEdgeWrapping,
+  repeat: THREE.RepeatWrapping,
+  mirror: THREE.MirroredRepeatWrapping,
+};
 
 export class AssetManager {
-  constructor(config = {}) {
+  constructor(config = {}, eventBus = null) {
     this.config = config.ASSETS || {};
+    this.eventBus = eventBus;
     this.gltfLoader = new GLTFLoader();
     this.textureLoader = new THREE.TextureLoader();
+    this.cubeTextureLoader = new THREE.CubeTextureLoader();
+    this.rgbeLoader = new RGBELoader();
+    this.exrLoader = new EXRLoader();
     this.cache = new Map();
+
+    // Progress of the current batch of loads started through loadAsset(), for getProgress()
+    this.itemsTotal = 0;
+    this.itemsLoaded = 0;
+    this.itemsFailed = 0;
+    this.bytes = new Map(); // key -> { loaded, total, done }
+
+    this.pending = new Map(); // key -> promise of an asset being loaded
+    this.errors = new Map(); // key -> error of the last failed load
+
+    // Entities using each asset, and the assets each entity uses
+    this.references = new Map(); // key -> Set of owners
+    this.ownedKeys = new WeakMap(); // owner -> Set of keys
+    // Released assets that are disposed once their last reference is removed
+    this.releasing = new Set();
+  }
+
+  /**
+   * Returns the aggregate loading progress of the current batch: the assets requested since
+   * every earlier load settled. Once a batch has settled it is reported as complete until the
+   * next load starts a new one. Loaders that cannot report sizes (images, cube maps) count as 0 bytes.
+   * @returns {{itemsLoaded: number, itemsFailed: number, itemsTotal: number, bytesLoaded: number, bytesTotal: number, progress: number}}
+   *   `progress` runs from 0 to 1, counting each asset equally and pending assets by their loaded bytes.
+   */
+  getProgress() {
+    let bytesLoaded = 0;
+    let bytesTotal = 0;
+    let pending = 0;
+    for (const { loaded, total, done } of this.bytes.values()) {
+      bytesLoaded += loaded;
+      bytesTotal += total;
+      if (!done && total > 0) {
+        pending += Math.min(loaded / total, 1);
+      }
+    }
+    const finished = this.itemsLoaded + this.itemsFailed;
+    return {
+      itemsLoaded: this.itemsLoaded,
+      itemsFailed: this.itemsFailed,
+      itemsTotal: this.itemsTotal,
+      bytesLoaded,
+      bytesTotal,
+      progress:
+        this.itemsTotal > 0 ? (finished + pending) / this.itemsTotal : 1,
+    };
+  }
+
+  /**
+   * Returns a loaded asset: a GLTF result, a THREE.Texture (or CubeTexture) or parsed JSON data.
+   * @param {string} key - The asset key.
+   * @returns {*} The asset, or `undefined` if nothing is loaded under this key.
+   */
+  get(key) {
+    return this.cache.get(key);
+  }
+
+  /**
+   * Returns where an asset is in its lifecycle.
+   * @param {string} key - The asset key.
+   * @returns {'loaded'|'loading'|'failed'|undefined} The status, or `undefined` if the asset was never
+   *   requested or has been released.
+   */
+  getStatus(key) {
+    if (this.cache.has(key)) {
+      return "loaded";
+    }
+    if (this.pending.has(key)) {
+      return "loading";
+    }
+    return this.errors.has(key) ? "failed" : undefined;
+  }
+
+  /**
+   * Loads an asset while the game runs. Loading a key that is already loaded or loading
+   * returns the same asset, so this can be called freely from systems.
+   * @param {string} key - The key to cache the asset under.
+   * @param {string|string[]} url - The asset's URL, or the six face URLs of a cube map.
+   * @param {Object} [options={}] - The other fields of an `assets` config entry, e.g. `type` or `colorSpace`.
+   * @returns {Promise<*>} The asset.
+   * @throws {Error} If the type is unknown or loading fails.
+   * @example
+   * const level = await assets.load("level-2", "/levels/level-2.json");
+   */
+  async load(key, url, options = {}) {
+    if (this.cache.has(key)) {
+      this.releasing.delete(key);
+      return this.cache.get(key);
+    }
+    const source = Array.isArray(url) ? { urls: url } : { url };
+    const asset = await this.loadAsset({ ...options, key, ...source });
+    if (asset === null) {
+      throw new Error(
+        `Unknown asset type for ${key}. Give it a 'type': ${ASSET_TYPES.join(
+          ", "
+        )}`
+      );
+    }
+    return asset;
+  }
+
+  /**
+   * Records that an entity (or any other owner) uses an asset, which keeps `release` from disposing it.
+   * Adding the same owner twice has no effect.
+   * @param {string} key - The asset key.
+   * @param {Object} owner - The entity using the asset.
+   */
+  addReference(key, owner) {
+    if (!this.references.has(key)) {
+      this.references.set(key, new Set());
+    }
+    this.references.get(key).add(owner);
+    if (!this.ownedKeys.has(owner)) {
+      this.ownedKeys.set(owner, new Set());
+    }
+    this.ownedKeys.get(owner).add(key);
+  }
+
+  /**
+   * Removes an owner's references, to one asset or to all of them. The engine calls this when an
+   * entity's renderable is removed. Released assets that lose their last reference are disposed.
+   * @param {Object} owner - The entity that no longer uses the asset(s).
+   * @param {string} [key] - The asset; all of the owner's assets if omitted.
+   */
+  removeReferences(owner, key) {
+    const keys = this.ownedKeys.get(owner);
+    if (!keys) {
+      return;
+    }
+    for (const ownedKey of key === undefined ? [...keys] : [key]) {
+      if (!keys.delete(ownedKey)) {
+        continue;
+      }
+      const owners = this.references.get(ownedKey);
+      owners.delete(owner);
+      if (owners.size === 0) {
+        this.references.delete(ownedKey);
+        if (this.releasing.has(ownedKey)) {
+          this._unload(ownedKey);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} key - The asset key.
+   * @returns {number} The number of entities using the asset.
+   */
+  getReferenceCount(key) {
+    return this.references.get(key)?.size ?? 0;
+  }
+
+  /**
+   * Unloads an asset: its geometries, materials and textures are disposed and it is removed
+   * from the cache. If entities still use it, this happens when the last of them stops.
+   * Loading the key again cancels a deferred release.
+   * @param {string} key - The asset key.
+   * @returns {boolean} True if the asset was unloaded now, false if it is still in use or not loaded.
+   */
+  release(key) {
+    if (!this.cache.has(key)) {
+      return false;
+    }
+    if (this.getReferenceCount(key) > 0) {
+      this.releasing.add(key);
+      return false;
+    }
+    this._unload(key);
+    return true;
+  }
+
+  /**
+   * Disposes a cached asset's GPU resources and forgets it.
+   * @private
+   * @param {string} key - The asset key.
+   */
+  _unload(key) {
+    disposeAsset(this.cache.get(key));
+    this.cache.delete(key);
+    this.releasing.delete(key);
   }
 
   async preload(assets) {
     const promises = assets.map(async (asset) => {
       try {
-        if (asset.url.includes(".gltf") || asset.url.includes(".glb")) {
-          const result = await this.loadGLTF(asset.key, asset.url);
-          return result;
-        }
-        // Add other asset types here later (e.g., textures)
-        console.warn(
-          `⚠️ Unknown asset type for ${asset.key}, skipping preload`
-        );
-        return null;
+        return await this.loadAsset(asset);
       } catch (error) {
         console.error(
-          `❌ Failed to preload asset ${asset.key} from ${asset.url}:`,
+          `❌ Failed to preload asset ${asset.key} from ${
+            asset.urls || asset.url
+          }:`,
           error
         );
         throw error; // Re-throw to fail the entire preload process
@@ -55,7 +275,111 @@ export class AssetManager {
     }
   }
 
-  async loadGLTF(key, url) {
+  /**
+   * Loads one asset with the loader for its type and caches it under its key.
+   * While it loads, loading the same key again returns the same promise.
+   * @param {Object} asset - An entry of the `assets` config.
+   * @param {string} asset.key - The key to cache the asset under.
+   * @param {string} [asset.url] - The asset's URL.
+   * @param {string[]} [asset.urls] - The six face URLs of a cube map.
+   * @param {string} [asset.type] - The loader to use; detected from the URL's extension if omitted.
+   * @returns {Promise<*>} The asset, or `null` if its type is unknown.
+   * @throws {Error} If `type` names no loader, or loading fails.
+   */
+  async loadAsset(asset) {
+    const type = asset.type ?? detectAssetType(asset);
+    if (type === undefined) {
+      console.warn(`⚠️ Unknown asset type for ${asset.key}, skipping preload`);
+      return null;
+    }
+    if (!ASSET_TYPES.includes(type)) {
+      throw new Error(
+        `Unknown asset type '${type}' for ${
+          asset.key
+        }. Use one of: ${ASSET_TYPES.join(", ")}`
+      );
+    }
+
+    const { key, url, urls } = asset;
+    if (this.pending.has(key)) {
+      return await this.pending.get(key);
+    }
+    this.releasing.delete(key);
+    const promise = this._track(key, url || urls, (onProgress) => {
+      switch (type) {
+        case "gltf":
+          return this.loadGLTF(key, url, onProgress);
+        case "texture":
+          return this.loadTexture(key, url, asset, onProgress);
+        case "cubemap":
+          return this.loadCubemap(key, urls, asset);
+        case "hdr":
+        case "exr":
+          return this.loadEnvironment(key, url, type, onProgress);
+        case "json":
+          return this.loadJSON(key, url, onProgress);
+      }
+    });
+    this.pending.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Runs a load and reports its progress, completion or failure on the event bus.
+   * @private
+   * @param {string} key - The asset key.
+   * @param {string|string[]} url - The asset's URL(s), for error reports.
+   * @param {function(function(ProgressEvent): void): Promise<*>} load - Starts the load with a progress callback.
+   * @returns {Promise<*>} The loaded asset.
+   */
+  async _track(key, url, load) {
+    if (this.itemsLoaded + this.itemsFailed === this.itemsTotal) {
+      // Everything earlier has settled, so this load starts a new batch
+      this.itemsTotal = 0;
+      this.itemsLoaded = 0;
+      this.itemsFailed = 0;
+      this.bytes.clear();
+    }
+    const bytes = { loaded: 0, total: 0, done: false };
+    this.bytes.set(key, bytes);
+    this.itemsTotal++;
+
+    const onProgress = (event) => {
+      bytes.loaded = event.loaded;
+      bytes.total = event.lengthComputable ? event.total : 0;
+      this._emit("asset-progress", {
+        key,
+        loaded: bytes.loaded,
+        total: bytes.total,
+      });
+    };
+
+    try {
+      const asset = await load(onProgress);
+      bytes.done = true;
+      bytes.total = Math.max(bytes.total, bytes.loaded);
+      this.itemsLoaded++;
+      this.errors.delete(key);
+      this._emit("asset-loaded", { key, asset });
+      return asset;
+    } catch (error) {
+      bytes.done = true;
+      this.itemsFailed++;
+      this.errors.set(key, error);
+      this._emit("asset-error", { key, url, error });
+      throw error;
+    }
+  }
+
+  _emit(eventName, data) {
+    this.eventBus?.emit(eventName, { ...data, ...this.getProgress() });
+  }
+
+  async loadGLTF(key, url, onProgress) {
     return new Promise((resolve, reject) => {
       this.gltfLoader.load(
         url,
@@ -67,7 +391,7 @@ export class AssetManager {
           this.cache.set(key, gltf);
           resolve(gltf);
         },
-        undefined, // onProgress callback (optional)
+        onProgress,
         (error) => {
           console.error(`Failed to load GLTF asset ${key} from ${url}:`, error);
           reject(error);
@@ -76,6 +400,103 @@ export class AssetManager {
     });
   }
 
+  /**
+   * Loads an image texture.
+   * @param {string} key - The key to cache the texture under.
+   * @param {string} url - The image URL.
+   * @param {Object} [options={}] - Texture settings.
+   * @param {string} [options.colorSpace] - `'srgb'` for colour images, `'linear'` for data such as normal maps,
+   *   or `'none'`. Untagged textures become sRGB when used as a colour map.
+   * @param {string} [options.wrap] - `'clamp'`, `'repeat'` or `'mirror'` for both directions;
+   *   `options.wrapS` and `options.wrapT` set one direction.
+   * @param {number[]} [options.repeat] - How often the texture repeats, as `[u, v]`.
+   * @param {boolean} [options.flipY] - Whether to flip the image vertically on upload.
+   * @param {function(ProgressEvent): void} [onProgress] - Called as data arrives, where the browser reports it.
+   * @returns {Promise<THREE.Texture>}
+   */
+  async loadTexture(key, url, options = {}, onProgress) {
+    try {
+      const texture = await this.textureLoader.loadAsync(url, onProgress);
+      texture.name = key;
+      applyTextureOptions(texture, options);
+      this.cache.set(key, texture);
+      return texture;
+    } catch (error) {
+      console.error(`Failed to load texture asset ${key} from ${url}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Loads a cube map, e.g. for `scene.background` or `material.envMap`.
+   * @param {string} key - The key to cache the cube map under.
+   * @param {string[]} urls - The six face images: +x, -x, +y, -y, +z, -z.
+   * @param {Object} [options={}] - Texture settings as for `loadTexture`; the colour space defaults to `'srgb'`.
+   * @returns {Promise<THREE.CubeTexture>}
+   */
+  async loadCubemap(key, urls, options = {}) {
+    if (!Array.isArray(urls) || urls.length !== 6) {
+      throw new Error(`Cube map ${key} needs 'urls' with six face images`);
+    }
+    try {
+      const texture = await this.cubeTextureLoader.loadAsync(urls);
+      texture.name = key;
+      applyTextureOptions(texture, { colorSpace: "srgb", ...options });
+      this.cache.set(key, texture);
+      return texture;
+    } catch (error) {
+      console.error(`Failed to load cube map asset ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Loads an equirectangular HDR or EXR image as an environment map, ready for
+   * `scene.environment`, `scene.background` or `material.envMap`.
+   * @param {string} key - The key to cache the texture under.
+   * @param {string} url - The image URL.
+   * @param {string} format - `'hdr'` or `'exr'`.
+   * @param {function(ProgressEvent): void} [onProgress] - Called as data arrives.
+   * @returns {Promise<THREE.DataTexture>}
+   */
+  async loadEnvironment(key, url, format, onProgress) {
+    const loader = format === "exr" ? this.exrLoader : this.rgbeLoader;
+    try {
+      const texture = await loader.loadAsync(url, onProgress);
+      texture.name = key;
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      this.cache.set(key, texture);
+      return texture;
+    } catch (error) {
+      console.error(
+        `Failed to load ${format.toUpperCase()} asset ${key} from ${url}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  async loadJSON(key, url, onProgress) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+      const buffer = await response.arrayBuffer();
+      onProgress?.({
+        loaded: buffer.byteLength,
+        total: buffer.byteLength,
+        lengthComputable: true,
+      });
+      const data = JSON.parse(new TextDecoder().decode(buffer));
+      this.cache.set(key, data);
+      return data;
+    } catch (error) {
+      console.error(`Failed to load JSON asset ${key} from ${url}:`, error);
+      throw error;
+    }
+  }
+
   cloneGLTF(gltf) {
     const clonedScene = SkeletonUtils.clone(gltf.scene);
     return {
@@ -85,20 +506,86 @@ export class AssetManager {
   }
 
   /**
-   * Clear asset cache (for memory management)
+   * Unloads every cached asset and disposes its geometries, materials and textures,
+   * whether or not entities still use it.
    */
   clearCache() {
-    this.cache.clear();
+    for (const key of [...this.cache.keys()]) {
+      this._unload(key);
+    }
+  }
+
+  /**
+   * Release all cached assets. Called when the engine is disposed.
+   */
+  dispose() {
+    this.clearCache();
+  }
+}
+
+/**
+ * The asset type for the extension of a URL's file name, ignoring any query string or hash,
+ * so `foo.json.png` is a texture and `data?format=.json` has no extension.
+ * An asset with `urls` is a cube map.
+ * @param {Object} asset - An entry of the `assets` config.
+ * @returns {string|undefined} The asset type.
+ */
+function detectAssetType(asset) {
+  if (asset.urls) {
+    return "cubemap";
+  }
+  const path = (asset.url || "").split(/[?#]/)[0];
+  const fileName = path.slice(path.lastIndexOf("/") + 1);
+  const dot = fileName.lastIndexOf(".");
+  return dot === -1
+    ? undefined
+    : EXTENSION_TYPES[fileName.slice(dot + 1).toLowerCase()];
+}
+
+/**
+ * Frees the GPU resources of a loaded asset. GLTF models have their geometries, materials
+ * and the materials' textures disposed; textures are disposed; JSON data needs nothing.
+ * @param {*} asset - A cached asset.
+ */
+function disposeAsset(asset) {
+  if (asset?.isTexture) {
+    asset.dispose();
+    return;
+  }
+  if (!asset?.scene) {
+    return;
+  }
+  disposeObjectTree(asset.scene);
+}
+
+function applyTextureOptions(texture, options) {
+  if (options.colorSpace) {
+    texture.colorSpace = COLOR_SPACES[options.colorSpace];
+  }
+  const wrapS = options.wrapS ?? options.wrap;
+  const wrapT = options.wrapT ?? options.wrap;
+  if (wrapS) {
+    texture.wrapS = WRAP_MODES[wrapS];
+  }
+  if (wrapT) {
+    texture.wrapT = WRAP_MODES[wrapT];
+  }
+  if (options.repeat) {
+    texture.repeat.fromArray(options.repeat);
+  }
+  if (options.flipY !== undefined) {
+    texture.flipY = options.flipY;
   }
 }
 
 /**
  * Setup the AssetManager resource.
  * @param {Object} [config={}] - The game's configuration object.
+ * @param {Object} [eventBus=null] - Receives the asset progress events.
  * @returns {Promise<AssetManager>}
  */
-export async function setupAssetManager(config = {}) {
-  const assetManager = new AssetManager(config);
+export async function setupAssetManager(config = {}, eventBus = null) {
+  const assetManager = new AssetManager(config, eventBus);
   const assetsToLoad = config.assets || [];
   if (assetsToLoad.length > 0) {
     await assetManager.preload(assetsToLoad);
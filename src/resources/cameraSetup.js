@@ -7,75 +7,164 @@
  */
 
 import * as THREE from "three";
-import CameraControls from "camera-controls";
+import { hasConfigChanged } from "../configSchema.js";
 
-// Install camera controls (like how physicsSetup calls RAPIER.init())
-CameraControls.install({ THREE });
+// camera-controls needs a DOM, so it is only loaded once a browser camera is set up.
+// Headless engines never import it.
+let CameraControls = null;
+
+/**
+ * Load and install camera-controls (like how physicsSetup calls RAPIER.init()).
+ * @returns {Promise<Function>} The CameraControls class.
+ */
+async function loadCameraControls() {
+  if (!CameraControls) {
+    ({ default: CameraControls } = await import("camera-controls"));
+    CameraControls.install({ THREE });
+  }
+  return CameraControls;
+}
 
 /**
  * Setup the camera system
- * @param {World} world - ECS world instance
+ * @param {Object} config - The resolved game config.
  * @param {Object} dependencies - Required dependencies
  * @param {Object} dependencies.renderer - Renderer resources
  * @returns {Object} Camera resources for other systems
  */
-export async function setupCamera(world, { renderer }, config = {}) {
-  const cameraConfig = config.CAMERA || {};
+export async function setupCamera(config, { renderer }) {
+  const CameraControls = await loadCameraControls();
 
   // Create camera controls (direct integration like renderer/physics)
-  const camera = new THREE.PerspectiveCamera(
-    cameraConfig.FOV || 75,
-    window.innerWidth / window.innerHeight,
-    cameraConfig.NEAR || 0.1,
-    cameraConfig.FAR || 2000
-  );
+  const camera = new THREE.PerspectiveCamera();
+  camera.aspect = window.innerWidth / window.innerHeight;
 
   const controls = new CameraControls(camera, renderer.renderer.domElement);
 
-  // Configure controls with game settings
-  controls.minDistance = cameraConfig.MIN_DISTANCE ?? 1;
-  controls.maxDistance = cameraConfig.MAX_DISTANCE ?? 15;
-  controls.smoothTime = cameraConfig.SMOOTH_TIME ?? 0;
-
-  // Configure mouse sensitivity
-  const mouseSensitivity = cameraConfig.MOUSE_SENSITIVITY || {};
-  const lookSensitivity = mouseSensitivity.LOOK ?? 1.0;
-  const zoomSensitivity = mouseSensitivity.ZOOM ?? 1.0;
-
-  controls.azimuthRotateSpeed = lookSensitivity;
-  controls.polarRotateSpeed = lookSensitivity;
-  controls.dollySpeed = zoomSensitivity;
-
-  // Set initial position by iterating through the world to find the follow target.
-  for (const entity of world) {
-    if (entity.isCameraFollowTarget && entity.transform) {
-      const pos = entity.transform.position;
-      const initialOffset = cameraConfig.INITIAL_OFFSET || { x: 0, y: 5, z: 8 };
-      const lookOffset = cameraConfig.LOOK_OFFSET || { x: 0, y: 1, z: 0 };
-
-      controls.setLookAt(
-        pos.x + initialOffset.x,
-        pos.y + initialOffset.y,
-        pos.z + initialOffset.z,
-        pos.x + lookOffset.x,
-        pos.y + lookOffset.y,
-        pos.z + lookOffset.z,
-        false
-      );
-      break;
-    }
-  }
+  const onResize = () => {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+  };
+  window.addEventListener("resize", onResize);
 
   // Return camera resources
   const cameraResources = {
     camera,
     controls,
+    // The camera is created before any entity exists, so cameraUpdateSystem
+    // frames the follow target with these offsets the first time it finds one.
+    initialOffset: null,
+    lookOffset: null,
+    hasInitialView: false,
+    applyConfig: (newConfig, previous, changed) =>
+      applyCameraConfig(cameraResources, newConfig, changed),
+    dispose: () => {
+      window.removeEventListener("resize", onResize);
+      controls.dispose();
+    },
   };
+  applyCameraConfig(cameraResources, config);
 
-  window.addEventListener("resize", () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-  });
+  return cameraResources;
+}
+
+/**
+ * Setup a camera for headless mode. The camera is a real THREE.PerspectiveCamera, so
+ * camera-relative movement keeps working, but the controls are a minimal stand-in for
+ * camera-controls that moves the camera directly and never touches the DOM.
+ * @param {Object} config - The resolved game config.
+ * @returns {Object} Camera resources for other systems
+ */
+export async function setupHeadlessCamera(config) {
+  const camera = new THREE.PerspectiveCamera();
+
+  const target = new THREE.Vector3();
+  const offset = new THREE.Vector3();
+  const controls = {
+    camera,
+    colliderMeshes: [],
+    setLookAt: (positionX, positionY, positionZ, targetX, targetY, targetZ) => {
+      camera.position.set(positionX, positionY, positionZ);
+      target.set(targetX, targetY, targetZ);
+      camera.lookAt(target);
+    },
+    moveTo: (x, y, z) => {
+      // Keep the camera's offset from its target, like camera-controls does
+      offset.subVectors(camera.position, target);
+      target.set(x, y, z);
+      camera.position.addVectors(target, offset);
+      camera.lookAt(target);
+    },
+    getTarget: (out = new THREE.Vector3()) => out.copy(target),
+    update: () => false,
+    lockPointer: () => {},
+    unlockPointer: () => {},
+    dispose: () => {},
+  };
+
+  const cameraResources = {
+    camera,
+    controls,
+    initialOffset: null,
+    lookOffset: null,
+    hasInitialView: false,
+    applyConfig: (newConfig, previous, changed) =>
+      applyCameraConfig(cameraResources, newConfig, changed),
+    dispose: () => {},
+  };
+  applyCameraConfig(cameraResources, config);
 
   return cameraResources;
 }
+
+/**
+ * Apply the CAMERA settings to the camera, its controls and the initial framing offsets.
+ * Only the changed settings are applied, so values the game set directly survive unrelated updates.
+ * @param {Object} cameraResources - The camera resource.
+ * @param {Object} config - The resolved game config.
+ * @param {string[]} [changed] - The changed paths; omitted on the first apply, which sets everything.
+ */
+function applyCameraConfig(cameraResources, config, changed) {
+  const { camera, controls } = cameraResources;
+  const cameraConfig = config.CAMERA;
+  const has = (path) => hasConfigChanged(changed, `CAMERA.${path}`);
+
+  if (has("FOV")) {
+    camera.fov = cameraConfig.FOV;
+  }
+  if (has("NEAR")) {
+    camera.near = cameraConfig.NEAR;
+  }
+  if (has("FAR")) {
+    camera.far = cameraConfig.FAR;
+  }
+  camera.updateProjectionMatrix();
+
+  // Configure controls with game settings
+  if (has("MIN_DISTANCE")) {
+    controls.minDistance = cameraConfig.MIN_DISTANCE;
+  }
+  if (has("MAX_DISTANCE")) {
+    controls.maxDistance = cameraConfig.MAX_DISTANCE;
+  }
+  if (has("SMOOTH_TIME")) {
+    controls.smoothTime = cameraConfig.SMOOTH_TIME;
+  }
+
+  // Configure mouse sensitivity
+  if (has("MOUSE_SENSITIVITY.LOOK")) {
+    const lookSensitivity = cameraConfig.MOUSE_SENSITIVITY.LOOK;
+    controls.azimuthRotateSpeed = lookSensitivity;
+    controls.polarRotateSpeed = lookSensitivity;
+  }
+  if (has("MOUSE_SENSITIVITY.ZOOM")) {
+    controls.dollySpeed = cameraConfig.MOUSE_SENSITIVITY.ZOOM;
+  }
+
+  if (has("INITIAL_OFFSET")) {
+    cameraResources.initialOffset = cameraConfig.INITIAL_OFFSET;
+  }
+  if (has("LOOK_OFFSET")) {
+    cameraResources.lookOffset = cameraConfig.LOOK_OFFSET;
+  }
+}
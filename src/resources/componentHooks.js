@@ -0,0 +1,96 @@
+/**
+ * Component Hooks
+ *
+ * Runs `onAdd` and `onRemove` callbacks when a component appears on or
+ * disappears from an entity: when an entity with the component is added to
+ * or removed from the world, and when the component is added to or removed
+ * from an entity already in the world.
+ */
+
+/**
+ * Create the component hook registry for a world.
+ * @param {World} world - The ECS world to watch.
+ * @returns {Object} The registry.
+ */
+export function createComponentHooks(world) {
+  const registrations = new Set();
+  // Entities this registry has seen added. Queries report new entities before the
+  // world's own listeners run, so onAdd for those waits until the entity index has
+  // given them an id.
+  const inWorld = new WeakSet(world.entities);
+
+  const call = (hook, type, component, entity) => {
+    try {
+      hook(entity);
+    } catch (error) {
+      // A failing hook must not leave the world half-updated
+      console.error(`Component hook ${type} for '${component}' failed:`, error);
+    }
+  };
+
+  const onEntityAdded = (entity) => {
+    inWorld.add(entity);
+    for (const { component, onAdd } of [...registrations]) {
+      if (onAdd && entity[component] !== undefined) {
+        call(onAdd, "onAdd", component, entity);
+      }
+    }
+  };
+  const unsubscribers = [
+    world.onEntityAdded.subscribe(onEntityAdded),
+    world.onEntityRemoved.subscribe((entity) => inWorld.delete(entity)),
+  ];
+
+  return {
+    /**
+     * Register hooks for a component. `onAdd` also runs for entities that already have it.
+     * @param {string} component - The component name.
+     * @param {Object} hooks - The hooks.
+     * @param {function(Object): void} [hooks.onAdd] - Called with the entity once it has the component.
+     * @param {function(Object): void} [hooks.onRemove] - Called with the entity while it still has the component.
+     * @returns {function(): void} Unregisters the hooks.
+     */
+    register: (component, { onAdd, onRemove }) => {
+      const query = world.with(component);
+      const subscriptions = [];
+      const registration = { component, onAdd, subscriptions };
+      if (onAdd) {
+        // Components added to entities that are already in the world
+        subscriptions.push(
+          query.onEntityAdded.subscribe((entity) => {
+            if (inWorld.has(entity)) {
+              call(onAdd, "onAdd", component, entity);
+            }
+          })
+        );
+      }
+      if (onRemove) {
+        subscriptions.push(
+          query.onEntityRemoved.subscribe((entity) =>
+            call(onRemove, "onRemove", component, entity)
+          )
+        );
+      }
+      registrations.add(registration);
+
+      if (onAdd) {
+        for (const entity of [...query]) {
+          call(onAdd, "onAdd", component, entity);
+        }
+      }
+
+      return () => {
+        subscriptions.forEach((unsubscribe) => unsubscribe());
+        registrations.delete(registration);
+      };
+    },
+
+    dispose: () => {
+      for (const { subscriptions } of registrations) {
+        subscriptions.forEach((unsubscribe) => unsubscribe());
+      }
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      registrations.clear();
+    },
+  };
+}
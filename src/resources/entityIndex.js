@@ -0,0 +1,100 @@
+/**
+ * Entity Index
+ *
+ * Gives every entity added to the world a unique, stable `id` and keeps
+ * lookup tables by id and by `name` in sync as entities and `name`
+ * components are added and removed.
+ */
+
+/**
+ * Create the entity index for a world.
+ * Entities added without an `id` get the next free number. Entities that already carry one
+ * (e.g. restored from a save) keep it, and later ids continue after the highest number seen.
+ * @param {World} world - The ECS world to index.
+ * @returns {Object} The entity index.
+ */
+export function createEntityIndex(world) {
+  const byId = new Map();
+  const byName = new Map();
+  let nextId = 1;
+
+  const onAdded = (entity) => {
+    if (entity.id === undefined) {
+      world.addComponent(entity, "id", nextId++);
+    } else if (byId.has(entity.id)) {
+      const duplicate = entity.id;
+      entity.id = nextId++;
+      console.warn(
+        `⚠️ Entity id ${duplicate} is already in use; assigned id ${entity.id} instead.`
+      );
+    } else if (typeof entity.id === "number") {
+      nextId = Math.max(nextId, entity.id + 1);
+    }
+    byId.set(entity.id, entity);
+  };
+
+  const onRemoved = (entity) => {
+    if (byId.get(entity.id) === entity) {
+      byId.delete(entity.id);
+    }
+  };
+
+  // The query reports `name` components added to or removed from live entities too
+  const named = world.with("name");
+  const onNamed = (entity) => {
+    let entities = byName.get(entity.name);
+    if (!entities) {
+      entities = new Set();
+      byName.set(entity.name, entities);
+    }
+    entities.add(entity);
+  };
+  const onUnnamed = (entity) => {
+    const entities = byName.get(entity.name);
+    entities?.delete(entity);
+    if (entities?.size === 0) {
+      byName.delete(entity.name);
+    }
+  };
+
+  const unsubscribers = [
+    world.onEntityAdded.subscribe(onAdded),
+    world.onEntityRemoved.subscribe(onRemoved),
+    named.onEntityAdded.subscribe(onNamed),
+    named.onEntityRemoved.subscribe(onUnnamed),
+  ];
+
+  // Index entities that were added before the index existed
+  for (const entity of world.entities) {
+    onAdded(entity);
+  }
+  for (const entity of named) {
+    onNamed(entity);
+  }
+
+  return {
+    /**
+     * @param {number|string} id - The entity id.
+     * @returns {Object|undefined} The entity with this id.
+     */
+    findById: (id) => byId.get(id),
+
+    /**
+     * @param {string} name - The entity name.
+     * @returns {Object|undefined} The first entity added with this name.
+     */
+    findByName: (name) => byName.get(name)?.values().next().value,
+
+    /**
+     * @param {string} name - The entity name.
+     * @returns {Object[]} Every entity with this name, in the order they were added.
+     */
+    findAllByName: (name) => [...(byName.get(name) || [])],
+
+    dispose: () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      byId.clear();
+      byName.clear();
+    },
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Hierarchy
+ *
+ * Tracks which entities are children of which, reparents entities while
+ * preserving their world pose, and cleans up children when their parent is
+ * removed from the world. The `parentingSystem` places children every frame.
+ */
+
+import * as THREE from "three";
+import { createTransform } from "../components/transform.js";
+
+const _parentMatrix = new THREE.Matrix4();
+const _childMatrix = new THREE.Matrix4();
+
+/**
+ * Create the hierarchy for a world.
+ * @param {World} world - The ECS world.
+ * @param {function(): string} getRemovalPolicy - Returns what happens to children whose parent is removed
+ *   (`'destroy'` or `'detach'`), unless a child sets its own `onParentRemoved`.
+ * @returns {Object} The hierarchy.
+ */
+export function createHierarchy(world, getRemovalPolicy) {
+  const childrenByParent = new Map();
+
+  const children = world.with("parent");
+  const onChildAdded = (entity) => {
+    let siblings = childrenByParent.get(entity.parent);
+    if (!siblings) {
+      siblings = new Set();
+      childrenByParent.set(entity.parent, siblings);
+    }
+    siblings.add(entity);
+  };
+  const onChildRemoved = (entity) => {
+    const siblings = childrenByParent.get(entity.parent);
+    siblings?.delete(entity);
+    if (siblings?.size === 0) {
+      childrenByParent.delete(entity.parent);
+    }
+  };
+
+  const detach = (entity) => {
+    // The world transform is already up to date, so the entity stays where it is
+    world.removeComponent(entity, "parent");
+    world.removeComponent(entity, "localTransform");
+  };
+
+  const onEntityRemoved = (entity) => {
+    const orphans = childrenByParent.get(entity);
+    if (!orphans) {
+      return;
+    }
+    for (const child of [...orphans]) {
+      const policy = child.onParentRemoved ?? getRemovalPolicy();
+      if (policy === "detach") {
+        detach(child);
+      } else {
+        world.remove(child);
+      }
+    }
+    childrenByParent.delete(entity);
+  };
+
+  const unsubscribers = [
+    children.onEntityAdded.subscribe(onChildAdded),
+    children.onEntityRemoved.subscribe(onChildRemoved),
+    world.onEntityRemoved.subscribe(onEntityRemoved),
+  ];
+  for (const entity of children) {
+    onChildAdded(entity);
+  }
+
+  return {
+    /**
+     * @param {Object} entity - A parent entity.
+     * @returns {Object[]} Its direct children.
+     */
+    getChildren: (entity) => [...(childrenByParent.get(entity) || [])],
+
+    /**
+     * Attach an entity to a parent, or detach it with `parent = null`.
+     * @param {Object} entity - The entity to move in the hierarchy.
+     * @param {Object|null} parent - The new parent.
+     * @param {boolean} keepWorldPose - If true, the local transform is computed so the entity
+     *   stays where it is; otherwise its current local transform is kept.
+     */
+    setParent: (entity, parent, keepWorldPose) => {
+      if (!parent) {
+        detach(entity);
+        return;
+      }
+      for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+        if (ancestor === entity) {
+          throw new Error(
+            `Cannot parent entity ${entity.id} to its own descendant ${parent.id}.`
+          );
+        }
+      }
+
+      let local = entity.localTransform;
+      if (keepWorldPose || !local) {
+        local = createTransform();
+        if (entity.transform && parent.transform) {
+          composeMatrix(_parentMatrix, parent.transform).invert();
+          composeMatrix(_childMatrix, entity.transform);
+          _childMatrix
+            .premultiply(_parentMatrix)
+            .decompose(local.position, local.rotation, local.scale);
+        }
+      }
+
+      // Remove first so the children index and queries see the new parent
+      world.removeComponent(entity, "parent");
+      world.removeComponent(entity, "localTransform");
+      world.addComponent(entity, "localTransform", local);
+      world.addComponent(entity, "parent", parent);
+    },
+
+    dispose: () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      childrenByParent.clear();
+    },
+  };
+}
+
+/**
+ * Write a transform's position, rotation and scale into a matrix.
+ * @param {THREE.Matrix4} matrix - The matrix to write to.
+ * @param {Object} transform - A transform component.
+ * @returns {THREE.Matrix4} The matrix.
+ */
+export function composeMatrix(matrix, transform) {
+  return matrix.compose(
+    transform.position,
+    transform.rotation,
+    transform.scale
+  );
+}
@@ -6,7 +6,8 @@
  */
 
 // Raw input state management - hardware agnostic
-const rawInputState = {
+// Each input resource gets its own copy so engine instances never share key state
+const defaultInputState = {
   // Movement keys
   forward: false, // W
   backward: false, // S
@@ -49,38 +50,80 @@ const keyMappings = {
  * @returns {Object} Input resource for other systems
  */
 export async function setupInput() {
-  // Initialize raw input listeners
-  // Keyboard events
-  window.addEventListener("keydown", (event) => {
-    const action = keyMappings[event.code];
-    if (action) {
-      rawInputState[action] = true;
-      event.preventDefault(); // Prevent browser shortcuts
-    }
-  });
+  const rawInputState = { ...defaultInputState };
+
+  // Initialize raw input listeners, keyed by event name so they can be removed on dispose
+  const listeners = {
+    // Keyboard events
+    keydown: (event) => {
+      const action = keyMappings[event.code];
+      if (action) {
+        rawInputState[action] = true;
+        event.preventDefault(); // Prevent browser shortcuts
+      }
+    },
+    keyup: (event) => {
+      const action = keyMappings[event.code];
+      if (action) {
+        rawInputState[action] = false;
+        event.preventDefault();
+      }
+    },
+
+    // Mouse events (for future camera control)
+    mousemove: (event) => {
+      rawInputState.mouseX = event.clientX;
+      rawInputState.mouseY = event.clientY;
+    },
+    mousedown: () => {
+      rawInputState.mouseDown = true;
+    },
+    mouseup: () => {
+      rawInputState.mouseDown = false;
+    },
+  };
 
-  window.addEventListener("keyup", (event) => {
-    const action = keyMappings[event.code];
-    if (action) {
-      rawInputState[action] = false;
-      event.preventDefault();
+  for (const [eventName, listener] of Object.entries(listeners)) {
+    window.addEventListener(eventName, listener);
+  }
+
+  return createInputResource(rawInputState, () => {
+    for (const [eventName, listener] of Object.entries(listeners)) {
+      window.removeEventListener(eventName, listener);
     }
   });
+}
 
-  // Mouse events (for future camera control)
-  window.addEventListener("mousemove", (event) => {
-    rawInputState.mouseX = event.clientX;
-    rawInputState.mouseY = event.clientY;
-  });
+/**
+ * Setup an input resource for headless mode. It listens to no DOM events; instead,
+ * tests and server-side code drive it with `setAction`, `setMousePosition` and `setMouseDown`.
+ * @returns {Object} Input resource for other systems
+ */
+export async function setupHeadlessInput() {
+  const rawInputState = { ...defaultInputState };
 
-  window.addEventListener("mousedown", () => {
-    rawInputState.mouseDown = true;
-  });
+  const inputResource = createInputResource(rawInputState, () => {});
+  inputResource.setAction = (action, active) => {
+    rawInputState[action] = active;
+  };
+  inputResource.setMousePosition = (x, y) => {
+    rawInputState.mouseX = x;
+    rawInputState.mouseY = y;
+  };
+  inputResource.setMouseDown = (down) => {
+    rawInputState.mouseDown = down;
+  };
 
-  window.addEventListener("mouseup", () => {
-    rawInputState.mouseDown = false;
-  });
+  return inputResource;
+}
 
+/**
+ * Build the input resource's query API over a raw input state.
+ * @param {Object} rawInputState - The per-engine raw input state.
+ * @param {Function} removeListeners - Detaches the DOM listeners feeding the state.
+ * @returns {Object} Input resource for other systems
+ */
+function createInputResource(rawInputState, removeListeners) {
   // The new input resource object
   const inputResource = {
     isActionActive: (action) => rawInputState[action] || false,
@@ -94,6 +137,7 @@ export async function setupInput() {
       // Original polarity: forward should be -Z.
       z: (rawInputState.backward ? 1 : 0) - (rawInputState.forward ? 1 : 0),
     }),
+    dispose: removeListeners,
   };
 
   return inputResource;
@@ -5,46 +5,19 @@
  */
 
 import * as THREE from "three";
+import { hasConfigChanged } from "../configSchema.js";
 
 /**
  * Setup the lighting system
- * @param {World} world - ECS world instance
- * @param {Object} dependencies - Other systems
- * @param {Object} config - The game's configuration object.
+ * @param {Object} config - The resolved game config.
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.renderer - Renderer resources
  * @returns {Object} Lighting resources
  */
-export async function setupLighting(world, { renderer }, config = {}) {
-  const lightingConfig = config.LIGHTING || {};
-  const shadowConfig = config.SHADOWS || {};
-
-  const ambientLight = new THREE.AmbientLight(
-    lightingConfig.AMBIENT_COLOR || 0xffffff,
-    lightingConfig.AMBIENT_INTENSITY || 0.4
-  );
-
-  const directionalLight = new THREE.DirectionalLight(
-    lightingConfig.DIRECTIONAL_COLOR || 0xffffff,
-    lightingConfig.DIRECTIONAL_INTENSITY || 0.8
-  );
-
-  const dirPos = lightingConfig.DIRECTIONAL_POSITION || {
-    x: 50,
-    y: 100,
-    z: 50,
-  };
-  directionalLight.position.set(dirPos.x, dirPos.y, dirPos.z);
-
-  if (shadowConfig.ENABLED !== false) {
-    directionalLight.castShadow = true;
-    directionalLight.shadow.mapSize.width = shadowConfig.MAP_SIZE || 2048;
-    directionalLight.shadow.mapSize.height = shadowConfig.MAP_SIZE || 2048;
-    directionalLight.shadow.camera.near = shadowConfig.CAMERA_NEAR || 0.5;
-    directionalLight.shadow.camera.far = shadowConfig.CAMERA_FAR || 500;
-    directionalLight.shadow.camera.left = -(shadowConfig.CAMERA_SIZE || 100);
-    directionalLight.shadow.camera.right = shadowConfig.CAMERA_SIZE || 100;
-    directionalLight.shadow.camera.top = shadowConfig.CAMERA_SIZE || 100;
-    directionalLight.shadow.camera.bottom = -(shadowConfig.CAMERA_SIZE || 100);
-  }
+export async function setupLighting(config = {}, { renderer }) {
+  const ambientLight = new THREE.AmbientLight();
+  const directionalLight = new THREE.DirectionalLight();
+  applyLightingConfig(ambientLight, directionalLight, config);
 
   renderer.scene.add(ambientLight);
   renderer.scene.add(directionalLight);
@@ -52,5 +25,65 @@ export async function setupLighting(world, { renderer }, config = {}) {
   return {
     ambientLight,
     directionalLight,
+    applyConfig: (newConfig, previous, changed) =>
+      applyLightingConfig(ambientLight, directionalLight, newConfig, changed),
+    dispose: () => {
+      ambientLight.removeFromParent();
+      directionalLight.removeFromParent();
+      ambientLight.dispose();
+      directionalLight.dispose(); // Frees the shadow map render target
+    },
   };
 }
+
+/**
+ * Apply the LIGHTING and SHADOWS settings to the lights. Only the changed settings are
+ * applied, so light properties the game set directly survive unrelated config updates.
+ * @param {THREE.AmbientLight} ambientLight - The ambient light.
+ * @param {THREE.DirectionalLight} directionalLight - The shadow-casting directional light.
+ * @param {Object} config - The resolved game config.
+ * @param {string[]} [changed] - The changed paths; omitted on the first apply, which sets everything.
+ */
+function applyLightingConfig(ambientLight, directionalLight, config, changed) {
+  const lightingConfig = config.LIGHTING;
+  const shadowConfig = config.SHADOWS;
+  const has = (path) => hasConfigChanged(changed, path);
+
+  if (has("LIGHTING.AMBIENT_COLOR")) {
+    ambientLight.color.set(lightingConfig.AMBIENT_COLOR);
+  }
+  if (has("LIGHTING.AMBIENT_INTENSITY")) {
+    ambientLight.intensity = lightingConfig.AMBIENT_INTENSITY;
+  }
+  if (has("LIGHTING.DIRECTIONAL_COLOR")) {
+    directionalLight.color.set(lightingConfig.DIRECTIONAL_COLOR);
+  }
+  if (has("LIGHTING.DIRECTIONAL_INTENSITY")) {
+    directionalLight.intensity = lightingConfig.DIRECTIONAL_INTENSITY;
+  }
+  if (has("LIGHTING.DIRECTIONAL_POSITION")) {
+    const dirPos = lightingConfig.DIRECTIONAL_POSITION;
+    directionalLight.position.set(dirPos.x, dirPos.y, dirPos.z);
+  }
+
+  if (!has("SHADOWS")) {
+    return;
+  }
+  directionalLight.castShadow = shadowConfig.ENABLED;
+  if (shadowConfig.ENABLED) {
+    const shadow = directionalLight.shadow;
+    if (shadow.mapSize.width !== shadowConfig.MAP_SIZE && shadow.map) {
+      // The shadow map is recreated at the new size on the next render
+      shadow.map.dispose();
+      shadow.map = null;
+    }
+    shadow.mapSize.set(shadowConfig.MAP_SIZE, shadowConfig.MAP_SIZE);
+    shadow.camera.near = shadowConfig.CAMERA_NEAR;
+    shadow.camera.far = shadowConfig.CAMERA_FAR;
+    shadow.camera.left = -shadowConfig.CAMERA_SIZE;
+    shadow.camera.right = shadowConfig.CAMERA_SIZE;
+    shadow.camera.top = shadowConfig.CAMERA_SIZE;
+    shadow.camera.bottom = -shadowConfig.CAMERA_SIZE;
+    shadow.camera.updateProjectionMatrix();
+  }
+}
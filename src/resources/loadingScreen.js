@@ -0,0 +1,86 @@
+/**
+ * Loading Screen
+ *
+ * The overlay `engine.init()` shows while assets load and setup systems run,
+ * so players see progress instead of a blank canvas. Games can pass their own
+ * screen as the `loadingScreen` config option: any object with `show()`,
+ * `update(progress)` and `hide()` methods.
+ */
+
+/**
+ * Create the built-in loading screen: a full-window panel with a progress bar.
+ * @returns {{show: function(): void, update: function(Object): void, hide: function(): void}} The loading screen.
+ */
+export function createLoadingScreen() {
+  let element = null;
+  let bar = null;
+  let label = null;
+
+  return {
+    show: () => {
+      if (element || typeof document === "undefined") {
+        return;
+      }
+      element = document.createElement("div");
+      element.style.cssText = `
+        position: fixed;
+        inset: 0;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 12px;
+        background: #111;
+        color: #ddd;
+        font: 14px sans-serif;
+        z-index: 1001;
+      `;
+      const track = document.createElement("div");
+      track.style.cssText = `
+        width: min(320px, 60vw);
+        height: 6px;
+        border-radius: 3px;
+        background: #333;
+        overflow: hidden;
+      `;
+      bar = document.createElement("div");
+      bar.style.cssText = `
+        width: 0%;
+        height: 100%;
+        background: #4caf50;
+        transition: width 0.2s;
+      `;
+      label = document.createElement("div");
+      label.textContent = "Loading…";
+      track.appendChild(bar);
+      element.append(track, label);
+      document.body.appendChild(element);
+    },
+
+    /**
+     * @param {Object} progress - An asset event payload: the asset's `key` and the aggregate progress.
+     */
+    update: (progress) => {
+      if (!element) {
+        return;
+      }
+      bar.style.width = `${Math.round(progress.progress * 100)}%`;
+      const megabytes =
+        progress.bytesTotal > 0
+          ? ` · ${(progress.bytesLoaded / 1e6).toFixed(1)} / ${(
+              progress.bytesTotal / 1e6
+            ).toFixed(1)} MB`
+          : "";
+      label.textContent = `Loading… ${
+        progress.itemsLoaded + progress.itemsFailed
+      } / ${progress.itemsTotal}${megabytes}`;
+    },
+
+    hide: () => {
+      element?.remove();
+      element = null;
+      bar = null;
+      label = null;
+    },
+  };
+}
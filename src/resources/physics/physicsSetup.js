@@ -16,20 +16,25 @@
  * Physics world owns position, rotation, and movement state.
  */
 
-import RAPIER from "@dimforge/rapier3d-compat";
+// The package's `main` is a CommonJS file that Node cannot load from an ES module,
+// so import its ES build directly
+import * as RAPIER from "@dimforge/rapier3d-compat/rapier.es.js";
+import { hasConfigChanged } from "../../configSchema.js";
 
 /**
  * Setup the physics system and create the physics resource.
- * @param {Object} [config={}] - Optional configuration for gravity.
+ * @param {Object} config - The resolved game config, for gravity and the fixed timestep.
  * @returns {Promise<Object>} The physics resource for the engine.
  */
-export async function setupPhysics(config = {}) {
+export async function setupPhysics(config) {
   // Initialize Rapier
   await RAPIER.init();
 
   // Create physics world with gravity
-  const gravity = config.gravity || { x: 0.0, y: -9.81, z: 0.0 };
-  const world = new RAPIER.World(gravity);
+  const world = new RAPIER.World(config.PHYSICS.GRAVITY);
+
+  // Step the world by the same fixed timestep the engine loop uses
+  world.timestep = config.LOOP.FIXED_TIMESTEP;
 
   // Create an event queue for handling collisions and other physics events
   const eventQueue = new RAPIER.EventQueue(true);
@@ -48,6 +53,22 @@ export async function setupPhysics(config = {}) {
     getBodyFactory: (componentName) => {
       return bodyFactoryRegistry.get(componentName);
     },
+    // Applies changed gravity and timestep settings to the live world
+    applyConfig: (config, previous, changed) => {
+      if (hasConfigChanged(changed, "PHYSICS.GRAVITY")) {
+        const { x, y, z } = config.PHYSICS.GRAVITY;
+        world.gravity = new RAPIER.Vector3(x, y, z);
+      }
+      if (hasConfigChanged(changed, "LOOP.FIXED_TIMESTEP")) {
+        world.timestep = config.LOOP.FIXED_TIMESTEP;
+      }
+    },
+    // Rapier objects live in WASM memory and must be freed explicitly
+    dispose: () => {
+      bodyFactoryRegistry.clear();
+      eventQueue.free();
+      world.free();
+    },
     // We can add other physics-related utilities here in the future
   };
 
@@ -0,0 +1,161 @@
+/**
+ * Profiler
+ *
+ * Records where each frame's time goes: CPU time per runtime system, physics
+ * step time, render time, entity counts per query and Three.js renderer
+ * statistics. Frames are kept in a rolling history so spikes can be inspected
+ * after the fact with `engine.getProfile()`.
+ */
+
+// The runtime system whose time is reported as the physics step
+const PHYSICS_STEP_SYSTEM = "physicsStep";
+
+/**
+ * Create the profiler resource.
+ * @param {Object} config - The resolved game config.
+ * @param {Object} config.PROFILER - Profiler settings.
+ * @param {number} config.PROFILER.HISTORY_SIZE - Number of frames kept in the history.
+ * @returns {Object} The profiler resource.
+ */
+export function createProfiler(config) {
+  let historySize = config.PROFILER.HISTORY_SIZE;
+
+  const history = [];
+  let current = null;
+  let frameStart = 0;
+
+  const profiler = {
+    history,
+
+    /**
+     * Start recording a new frame.
+     * @param {number} frame - The frame number from the `time` resource.
+     */
+    beginFrame(frame) {
+      frameStart = performance.now();
+      current = {
+        frame,
+        totalMs: 0,
+        physicsMs: 0,
+        renderMs: 0,
+        fixedSteps: 0,
+        systems: {},
+        entities: 0,
+        queries: {},
+        renderer: null,
+      };
+    },
+
+    /**
+     * Add the time one run of a system took to the current frame.
+     * Fixed systems can run several times per frame; their times are summed.
+     * @param {string} name - The runtime system name.
+     * @param {number} ms - Elapsed CPU time in milliseconds.
+     */
+    recordSystem(name, ms) {
+      if (!current) {
+        return;
+      }
+      const entry =
+        current.systems[name] || (current.systems[name] = { ms: 0, calls: 0 });
+      entry.ms += ms;
+      entry.calls++;
+      if (name === PHYSICS_STEP_SYSTEM) {
+        current.physicsMs += ms;
+      }
+    },
+
+    /**
+     * Count one fixed simulation step in the current frame.
+     */
+    recordFixedStep() {
+      if (current) {
+        current.fixedSteps++;
+      }
+    },
+
+    /**
+     * Finish the current frame and push it into the history.
+     * @param {World} world - The ECS world, for entity and query counts.
+     * @param {Object} [renderer] - The renderer resource, for `renderer.info`.
+     * @param {number} renderMs - Time spent rendering the frame in milliseconds.
+     */
+    endFrame(world, renderer, renderMs) {
+      if (!current) {
+        return;
+      }
+
+      current.renderMs = renderMs;
+      current.entities = world.entities.length;
+      for (const query of world.queries) {
+        if (query.isConnected) {
+          current.queries[query.key] = query.entities.length;
+        }
+      }
+
+      const info = renderer?.renderer?.info;
+      if (info) {
+        current.renderer = {
+          calls: info.render.calls,
+          triangles: info.render.triangles,
+          geometries: info.memory.geometries,
+          textures: info.memory.textures,
+        };
+      }
+
+      current.totalMs = performance.now() - frameStart;
+      history.push(current);
+      if (history.length > historySize) {
+        history.shift();
+      }
+      current = null;
+    },
+
+    /**
+     * Summarise the recorded history.
+     * @returns {{frames: Object[], averages: Object, latest: Object|null}} The recorded frames, oldest first,
+     *   their average timings and the most recent frame.
+     */
+    getProfile() {
+      const averages = { totalMs: 0, physicsMs: 0, renderMs: 0, systems: {} };
+      for (const frame of history) {
+        averages.totalMs += frame.totalMs;
+        averages.physicsMs += frame.physicsMs;
+        averages.renderMs += frame.renderMs;
+        for (const [name, { ms }] of Object.entries(frame.systems)) {
+          averages.systems[name] = (averages.systems[name] || 0) + ms;
+        }
+      }
+
+      const count = history.length || 1;
+      averages.totalMs /= count;
+      averages.physicsMs /= count;
+      averages.renderMs /= count;
+      for (const name of Object.keys(averages.systems)) {
+        averages.systems[name] /= count;
+      }
+
+      return {
+        frames: [...history],
+        averages,
+        latest: history[history.length - 1] || null,
+      };
+    },
+
+    /**
+     * Apply a changed history size, dropping the oldest frames if it shrank.
+     * @param {Object} newConfig - The resolved game config.
+     */
+    applyConfig(newConfig) {
+      historySize = newConfig.PROFILER.HISTORY_SIZE;
+      history.splice(0, Math.max(0, history.length - historySize));
+    },
+
+    dispose: () => {
+      history.length = 0;
+      current = null;
+    },
+  };
+
+  return profiler;
+}
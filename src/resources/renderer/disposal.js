@@ -0,0 +1,39 @@
+/**
+ * Disposal
+ *
+ * Frees the GPU resources held by a Three.js object tree. Shared by the
+ * renderer, which cleans up its scene on dispose, and the asset manager,
+ * which releases loaded GLTF models.
+ */
+
+/**
+ * Disposes the geometries, materials and material textures (`map`, `normalMap`, ...)
+ * of an object and all its descendants.
+ * @param {THREE.Object3D} root - The object tree to free.
+ */
+export function disposeObjectTree(root) {
+  root.traverse((object) => {
+    object.geometry?.dispose();
+    const materials = Array.isArray(object.material)
+      ? object.material
+      : [object.material];
+    for (const material of materials) {
+      if (material) {
+        disposeMaterial(material);
+      }
+    }
+  });
+}
+
+/**
+ * Disposes a material and every texture it references.
+ * @param {THREE.Material} material - The material to free.
+ */
+function disposeMaterial(material) {
+  for (const value of Object.values(material)) {
+    if (value?.isTexture) {
+      value.dispose();
+    }
+  }
+  material.dispose();
+}
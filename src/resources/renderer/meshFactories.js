@@ -7,84 +7,383 @@
  */
 import * as THREE from "three";
 
+// Material properties that may be given by name in plain-data descriptions
+const MATERIAL_SIDES = {
+  front: THREE.FrontSide,
+  back: THREE.BackSide,
+  double: THREE.DoubleSide,
+};
+
+// Texture slots that hold colour data; every other map holds linear data
+const COLOR_MAPS = ["map", "emissiveMap", "specularColorMap", "sheenColorMap"];
+
 /**
  * Creates a mesh from procedural geometry and material data.
  * This factory is registered for the `renderable` component by default.
+ *
+ * A renderable with `children` becomes a `THREE.Group` holding its own mesh (if it has a geometry)
+ * and one part per child. Each child has its own `geometry`, an optional `material` (the parent's
+ * by default), a local `position`, `rotation` (Euler angles in radians) and `scale`, and may have
+ * `children` of its own.
+ *
  * @param {Object} entity - The entity to create the mesh for.
  * @param {Object} context - The context containing engine resources.
- * @returns {THREE.Mesh}
+ * @param {Object} [context.assets] - The AssetManager instance, for texture maps. The entity is
+ *   recorded as using each texture it references.
+ * @returns {THREE.Mesh|THREE.Group}
  */
-export function proceduralMeshFactory(entity) {
-  const { geometry: geomData, material: matData } = entity.renderable;
+export function proceduralMeshFactory(entity, { assets } = {}) {
+  const renderable = entity.renderable;
+  const textures = { assets, owner: entity };
+  const shadows = {
+    castShadow: renderable.castShadow ?? true,
+    receiveShadow: renderable.receiveShadow ?? true,
+  };
+
+  if (!renderable.children?.length) {
+    return createProceduralPart(
+      renderable,
+      renderable.material,
+      shadows,
+      textures
+    );
+  }
 
-  let geometry;
+  const group = createProceduralPart(
+    { ...renderable, geometry: undefined },
+    renderable.material,
+    shadows,
+    textures
+  );
+  if (renderable.geometry) {
+    const body = { ...renderable, children: undefined };
+    group.add(
+      createProceduralPart(body, renderable.material, shadows, textures)
+    );
+  }
+  // The default cleanup only frees the top-level object's geometry and material
+  group.userData.dispose = () =>
+    group.traverse((object) => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+  return group;
+}
+
+/**
+ * Builds one part of a procedural renderable: a mesh, or a group when it only has children.
+ * @param {Object} part - The part's description.
+ * @param {Object} inheritedMaterial - The material used when the part has none.
+ * @param {Object} inheritedShadows - The shadow flags used when the part sets none.
+ * @param {Object} textures - The AssetManager (`assets`) and the entity using the textures (`owner`).
+ * @returns {THREE.Mesh|THREE.Group}
+ */
+function createProceduralPart(
+  part,
+  inheritedMaterial,
+  inheritedShadows,
+  textures
+) {
+  const matData = part.material ?? inheritedMaterial;
+  const shadows = {
+    castShadow: part.castShadow ?? inheritedShadows.castShadow,
+    receiveShadow: part.receiveShadow ?? inheritedShadows.receiveShadow,
+  };
+
+  let object;
+  if (part.geometry) {
+    object = new THREE.Mesh(
+      createProceduralGeometry(part.geometry),
+      createProceduralMaterial(matData, textures)
+    );
+    object.castShadow = shadows.castShadow;
+    object.receiveShadow = shadows.receiveShadow;
+  } else if (part.children?.length) {
+    object = new THREE.Group();
+  } else {
+    throw new Error("Procedural part needs a geometry or children");
+  }
+
+  for (const child of part.children || []) {
+    const childObject = createProceduralPart(child, matData, shadows, textures);
+    applyLocalTransform(childObject, child);
+    if (child.name) {
+      childObject.name = child.name;
+    }
+    object.add(childObject);
+  }
+  return object;
+}
+
+/**
+ * Places a child part relative to its parent. Vectors are `{x, y, z}` objects or
+ * `[x, y, z]` arrays; `scale` may also be a single number.
+ * @param {THREE.Object3D} object - The child's object.
+ * @param {Object} child - The child's description.
+ */
+function applyLocalTransform(object, { position, rotation, scale }) {
+  if (position) {
+    object.position.copy(toVector3(position));
+  }
+  if (rotation) {
+    object.rotation.setFromVector3(toVector3(rotation));
+  }
+  if (typeof scale === "number") {
+    object.scale.setScalar(scale);
+  } else if (scale) {
+    object.scale.copy(toVector3(scale));
+  }
+}
+
+function toVector3(value) {
+  return Array.isArray(value)
+    ? new THREE.Vector3().fromArray(value)
+    : new THREE.Vector3(value.x ?? 0, value.y ?? 0, value.z ?? 0);
+}
+
+/**
+ * Creates a geometry from its plain-data description.
+ * Points are `[x, y]` arrays, so descriptions can be written as JSON.
+ * @param {Object} geomData - The geometry description; `type` selects the shape.
+ * @returns {THREE.BufferGeometry}
+ */
+function createProceduralGeometry(geomData) {
   switch (geomData.type) {
     case "capsule":
-      geometry = new THREE.CapsuleGeometry(
+      return new THREE.CapsuleGeometry(
         geomData.radius,
         geomData.height,
         geomData.radialSegments,
         geomData.heightSegments
       );
-      break;
     case "sphere":
-      geometry = new THREE.SphereGeometry(
+      return new THREE.SphereGeometry(
         geomData.radius,
         geomData.segments,
         geomData.segments
       );
-      break;
     case "box":
-      geometry = new THREE.BoxGeometry(
+      return new THREE.BoxGeometry(
         geomData.width,
         geomData.height,
         geomData.depth
       );
-      break;
+    case "cylinder":
+      return new THREE.CylinderGeometry(
+        geomData.radiusTop ?? geomData.radius,
+        geomData.radiusBottom ?? geomData.radius,
+        geomData.height,
+        geomData.radialSegments,
+        geomData.heightSegments,
+        geomData.openEnded
+      );
+    case "cone":
+      return new THREE.ConeGeometry(
+        geomData.radius,
+        geomData.height,
+        geomData.radialSegments,
+        geomData.heightSegments,
+        geomData.openEnded
+      );
+    case "plane":
+      // Lies in the XY plane facing +Z, like THREE.PlaneGeometry
+      return new THREE.PlaneGeometry(
+        geomData.width,
+        geomData.height,
+        geomData.widthSegments,
+        geomData.heightSegments
+      );
+    case "torus":
+      return new THREE.TorusGeometry(
+        geomData.radius,
+        geomData.tube,
+        geomData.radialSegments,
+        geomData.tubularSegments,
+        geomData.arc
+      );
+    case "ring":
+      return new THREE.RingGeometry(
+        geomData.innerRadius,
+        geomData.outerRadius,
+        geomData.thetaSegments,
+        geomData.phiSegments,
+        geomData.thetaStart,
+        geomData.thetaLength
+      );
+    case "icosahedron":
+      return new THREE.IcosahedronGeometry(geomData.radius, geomData.detail);
+    case "extrude": {
+      // { shape: [[x, y], ...], holes: [[[x, y], ...]], depth, bevelEnabled, ... }
+      const { type, shape, holes = [], ...options } = geomData;
+      const outline = new THREE.Shape(toVector2s(shape, "shape"));
+      outline.holes = holes.map(
+        (hole) => new THREE.Path(toVector2s(hole, "holes"))
+      );
+      return new THREE.ExtrudeGeometry(outline, options);
+    }
+    case "lathe":
+      // The profile is revolved around the Y axis
+      return new THREE.LatheGeometry(
+        toVector2s(geomData.points, "points"),
+        geomData.segments,
+        geomData.phiStart,
+        geomData.phiLength
+      );
+    case "buffer":
+      return createBufferGeometry(geomData);
     default:
       throw new Error(`Unknown geometry type: ${geomData.type}`);
   }
+}
+
+/**
+ * Creates a geometry from raw vertex data:
+ * `{ type: 'buffer', attributes: { position: [x, y, z, ...], uv: [...] }, index: [...] }`.
+ * An attribute is a flat array, or `{ array, itemSize }` for item sizes other than the usual
+ * (2 for `uv` attributes, 3 otherwise). Normals are computed when none are given.
+ * @param {Object} geomData - The buffer geometry description.
+ * @returns {THREE.BufferGeometry}
+ */
+function createBufferGeometry({ attributes = {}, index }) {
+  if (!attributes.position) {
+    throw new Error("Buffer geometry needs a 'position' attribute");
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  for (const [name, data] of Object.entries(attributes)) {
+    const array = Array.isArray(data) ? data : data.array;
+    const itemSize = data.itemSize ?? (name.startsWith("uv") ? 2 : 3);
+    geometry.setAttribute(
+      name,
+      new THREE.Float32BufferAttribute(array, itemSize)
+    );
+  }
+  if (index) {
+    geometry.setIndex(index);
+  }
+  if (!attributes.normal) {
+    geometry.computeVertexNormals();
+  }
+  return geometry;
+}
 
-  let material;
-  const { type, ...materialProps } = matData;
+/**
+ * Creates a material from its plain-data description. String values of texture
+ * slots (`map`, `normalMap`, `gradientMap`, ...) are asset keys of loaded textures.
+ * @param {Object} matData - The material description; `type` selects the material.
+ * @param {Object} textures - The AssetManager (`assets`) and the entity using the textures (`owner`).
+ * @returns {THREE.Material}
+ */
+function createProceduralMaterial(matData, textures) {
+  const { type, ...props } = matData;
+  const materialProps = resolveMaterialProps(props, textures);
   switch (type) {
     case "standard":
-      material = new THREE.MeshStandardMaterial({
+      return new THREE.MeshStandardMaterial({
+        roughness: 0.5,
+        metalness: 0.0,
+        ...materialProps,
+      });
+    case "physical":
+      return new THREE.MeshPhysicalMaterial({
         roughness: 0.5,
         metalness: 0.0,
         ...materialProps,
       });
-      break;
     case "basic":
-      material = new THREE.MeshBasicMaterial(materialProps);
-      break;
+      return new THREE.MeshBasicMaterial(materialProps);
+    case "phong":
+      return new THREE.MeshPhongMaterial(materialProps);
+    case "lambert":
+      return new THREE.MeshLambertMaterial(materialProps);
+    case "toon":
+      return new THREE.MeshToonMaterial(materialProps);
+    case "normal":
+      return new THREE.MeshNormalMaterial(materialProps);
     default:
       throw new Error(`Unknown material type: ${matData.type}`);
   }
+}
+
+function resolveMaterialProps(props, textures) {
+  const resolved = { ...props };
+  if (typeof resolved.side === "string") {
+    if (!(resolved.side in MATERIAL_SIDES)) {
+      throw new Error(
+        `Unknown material side: ${resolved.side} (use front, back or double)`
+      );
+    }
+    resolved.side = MATERIAL_SIDES[resolved.side];
+  }
+  for (const [key, value] of Object.entries(resolved)) {
+    if (typeof value === "string" && (key === "map" || key.endsWith("Map"))) {
+      resolved[key] = getTexture(textures, value, COLOR_MAPS.includes(key));
+    }
+  }
+  return resolved;
+}
 
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.castShadow = entity.renderable.castShadow ?? true;
-  mesh.receiveShadow = entity.renderable.receiveShadow ?? true;
+function getTexture({ assets, owner }, key, isColor) {
+  const texture = assets?.get(key);
+  if (!texture?.isTexture) {
+    throw new Error(
+      `Texture not preloaded: ${key}. Add it to the 'assets' config.`
+    );
+  }
+  assets.addReference(key, owner);
+  // Colour maps are stored in sRGB; untagged textures are assumed to follow that convention
+  if (isColor && texture.colorSpace === THREE.NoColorSpace) {
+    texture.colorSpace = THREE.SRGBColorSpace;
+  }
+  return texture;
+}
 
-  return mesh;
+function toVector2s(points, name) {
+  if (!Array.isArray(points) || points.length < 2) {
+    throw new Error(`Geometry '${name}' must be an array of [x, y] points`);
+  }
+  return points.map(([x, y]) => new THREE.Vector2(x, y));
 }
 
 /**
  * Creates a GLTF mesh and its container.
  * This factory is registered for the `gltf` component type.
  * It correctly sets up the parent container for physics and visual offsets.
+ *
+ * While the asset is still loading, the factory returns `null` and the scene management system
+ * tries again on a later frame. An asset that was never requested is loaded from the
+ * renderable's `url`, if it has one. The entity is recorded as using the asset.
  * @param {Object} entity - The entity to create the mesh for.
  * @param {Object} context - The context containing engine resources.
  * @param {Object} context.assets - The AssetManager instance.
- * @returns {THREE.Group} - The parent container group.
+ * @returns {THREE.Group|null} - The parent container group, or `null` while the asset loads.
  */
 export function gltfMeshFactory(entity, { assets }) {
-  const { assetKey, scale, position, rotation, castShadow, receiveShadow } =
-    entity.renderable;
+  const {
+    assetKey,
+    url,
+    scale,
+    position,
+    rotation,
+    castShadow,
+    receiveShadow,
+  } = entity.renderable;
+
+  if (url && assets.getStatus(assetKey) === undefined) {
+    // Failures are logged and reported as `asset-error` by the asset manager
+    assets.load(assetKey, url, { type: "gltf" }).catch(() => {});
+  }
+  if (assets.getStatus(assetKey) === "loading") {
+    return null;
+  }
 
-  const cached = assets.cache.get(assetKey);
+  const cached = assets.get(assetKey);
   if (!cached) {
-    console.error(`GLTF asset not preloaded: ${assetKey}`);
+    console.error(
+      assets.getStatus(assetKey) === "failed"
+        ? `GLTF asset failed to load: ${assetKey}`
+        : `GLTF asset not loaded: ${assetKey}. Add it to the 'assets' config, give the renderable a 'url' or call assets.load().`
+    );
     // Return a visible error mesh
     const errorGeom = new THREE.BoxGeometry(1, 1, 1);
     const errorMat = new THREE.MeshBasicMaterial({
@@ -93,6 +392,8 @@ export function gltfMeshFactory(entity, { assets }) {
     });
     return new THREE.Mesh(errorGeom, errorMat);
   }
+  // Clones share the asset's geometries and materials, which release() disposes
+  assets.addReference(assetKey, entity);
 
   const gltfClone = assets.cloneGLTF(cached);
   const gltfModel = gltfClone.scene;
@@ -6,26 +6,111 @@
  */
 import * as THREE from "three";
 import { gltfMeshFactory, proceduralMeshFactory } from "./meshFactories.js";
+import { disposeObjectTree } from "./disposal.js";
+import { hasConfigChanged } from "../../configSchema.js";
 
 /**
  * Setup the renderer system and create the renderer resource.
- * @param {Object} [config={}] - Optional configuration.
+ * @param {Object} config - The resolved game config.
  * @returns {Object} The renderer resource for the engine.
  */
-export async function setupRenderer(config = {}) {
+export async function setupRenderer(config) {
   const scene = new THREE.Scene();
-  const sceneConfig = config.SCENE || {};
-  scene.background = new THREE.Color(sceneConfig.BACKGROUND_COLOR || 0x000000);
 
   const renderer = new THREE.WebGLRenderer({
-    antialias: config.RENDERER?.ANTIALIAS ?? true,
+    antialias: config.RENDERER.ANTIALIAS,
     canvas: config.canvas,
   });
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.shadowMap.enabled = config.shadows ?? true;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-  renderer.setClearColor(scene.background);
+  applyRendererConfig(renderer, scene, config);
 
+  // Handle window resize
+  const onResize = () => {
+    renderer.setSize(window.innerWidth, window.innerHeight);
+  };
+  window.addEventListener("resize", onResize);
+
+  return createRendererResource(renderer, scene, () => {
+    window.removeEventListener("resize", onResize);
+  });
+}
+
+/**
+ * Setup a renderer resource that never touches the DOM or WebGL, for headless mode.
+ * The scene graph and mesh factories work as usual; rendering is a no-op.
+ * @param {Object} config - The resolved game config.
+ * @returns {Object} The renderer resource for the engine.
+ */
+export async function setupHeadlessRenderer(config) {
+  const scene = new THREE.Scene();
+
+  // Mirrors the parts of THREE.WebGLRenderer the engine and its systems use
+  const renderer = {
+    domElement: null,
+    shadowMap: { enabled: false, type: THREE.PCFSoftShadowMap },
+    info: {
+      render: { calls: 0, triangles: 0, points: 0, lines: 0, frame: 0 },
+      memory: { geometries: 0, textures: 0 },
+    },
+    render: () => {},
+    setSize: () => {},
+    setClearColor: () => {},
+    dispose: () => {},
+  };
+  applyRendererConfig(renderer, scene, config);
+
+  return createRendererResource(renderer, scene, () => {});
+}
+
+/**
+ * Apply the SCENE and SHADOWS settings to the scene and renderer.
+ * @param {THREE.WebGLRenderer|Object} renderer - The renderer, or its headless stand-in.
+ * @param {THREE.Scene} scene - The scene rendered every frame.
+ * @param {Object} config - The resolved game config.
+ * @param {string[]} [changed] - The changed paths; omitted on the first apply, which sets everything.
+ */
+function applyRendererConfig(renderer, scene, config, changed) {
+  // Only touch the background when its setting changed, so a texture or
+  // colour the game assigned to scene.background survives other updates
+  if (hasConfigChanged(changed, "SCENE.BACKGROUND_COLOR")) {
+    scene.background = new THREE.Color(config.SCENE.BACKGROUND_COLOR);
+    renderer.setClearColor(scene.background);
+  }
+
+  if (!hasConfigChanged(changed, "SHADOWS")) {
+    return;
+  }
+  const shadowType = config.SHADOWS.SOFT_SHADOWS
+    ? THREE.PCFSoftShadowMap
+    : THREE.PCFShadowMap;
+  if (
+    renderer.shadowMap.enabled !== config.SHADOWS.ENABLED ||
+    renderer.shadowMap.type !== shadowType
+  ) {
+    renderer.shadowMap.enabled = config.SHADOWS.ENABLED;
+    renderer.shadowMap.type = shadowType;
+    // Shadow settings are compiled into the shaders
+    scene.traverse((object) => {
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+      materials.forEach((material) => {
+        if (material) {
+          material.needsUpdate = true;
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Build the renderer resource around a renderer and its scene.
+ * @param {THREE.WebGLRenderer|Object} renderer - The renderer, or its headless stand-in.
+ * @param {THREE.Scene} scene - The scene rendered every frame.
+ * @param {Function} removeListeners - Detaches any window listeners the renderer installed.
+ * @returns {Object} The renderer resource for the engine.
+ */
+function createRendererResource(renderer, scene, removeListeners) {
   const meshFactoryRegistry = new Map();
 
   // The renderer resource that will be available to all systems
@@ -33,22 +118,35 @@ export async function setupRenderer(config = {}) {
     renderer,
     scene,
     meshFactoryRegistry,
+    applyConfig: (config, previous, changed) =>
+      applyRendererConfig(renderer, scene, config, changed),
     registerMeshFactory: (componentName, factory) => {
       meshFactoryRegistry.set(componentName, factory);
     },
     getMeshFactory: (componentName) => {
       return meshFactoryRegistry.get(componentName);
     },
+    dispose: () => {
+      removeListeners();
+
+      // Free GPU memory held by anything still in the scene, including the
+      // materials' texture maps (map, normalMap, ...) and the environment
+      disposeObjectTree(scene);
+      for (const value of [scene.background, scene.environment]) {
+        if (value?.isTexture) {
+          value.dispose();
+        }
+      }
+      scene.clear();
+
+      meshFactoryRegistry.clear();
+      renderer.dispose();
+    },
   };
 
   // Register the engine's default mesh factories
   rendererResource.registerMeshFactory("procedural", proceduralMeshFactory);
   rendererResource.registerMeshFactory("gltf", gltfMeshFactory);
 
-  // Handle window resize
-  window.addEventListener("resize", () => {
-    renderer.setSize(window.innerWidth, window.innerHeight);
-  });
-
   return rendererResource;
 }
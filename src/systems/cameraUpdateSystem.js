@@ -5,13 +5,19 @@
  * each frame, typically to follow a player entity.
  */
 
+import * as THREE from "three";
+
+const interpolatedPosition = new THREE.Vector3();
+
 /**
  * Updates the camera's target and processes its controls.
  * @param {World} world - The ECS world instance.
- * @param {Object} cameraControls - The camera-controls instance.
+ * @param {Object} camera - The camera resource created by `setupCamera`.
  * @param {number} deltaTime - The time elapsed since the last frame.
+ * @param {number} [alpha=1] - Interpolation factor between the previous and current simulation step, so the camera follows the same pose as the rendered target.
  */
-export function cameraUpdateSystem(world, cameraControls, deltaTime) {
+export function cameraUpdateSystem(world, camera, deltaTime, alpha = 1) {
+  const cameraControls = camera?.controls;
   if (!cameraControls) {
     throw new Error(
       "cameraUpdateSystem: Camera controls not provided via dependency injection"
@@ -21,7 +27,28 @@ export function cameraUpdateSystem(world, cameraControls, deltaTime) {
   // 1. Update the camera's "look-at" target to the player's position.
   for (const entity of world) {
     if (entity.isCameraFollowTarget && entity.transform) {
-      const pos = entity.transform.position;
+      const pos = entity.previousTransform
+        ? interpolatedPosition.lerpVectors(
+            entity.previousTransform.position,
+            entity.transform.position,
+            alpha
+          )
+        : entity.transform.position;
+      if (!camera.hasInitialView) {
+        // Jump straight to the starting view the first time a target appears
+        const { initialOffset, lookOffset } = camera;
+        cameraControls.setLookAt(
+          pos.x + initialOffset.x,
+          pos.y + initialOffset.y,
+          pos.z + initialOffset.z,
+          pos.x + lookOffset.x,
+          pos.y + lookOffset.y,
+          pos.z + lookOffset.z,
+          false
+        );
+        camera.hasInitialView = true;
+      }
+
       const offset = entity.isCameraFollowTarget.offset || { x: 0, y: 0, z: 0 };
       cameraControls.moveTo(
         pos.x + offset.x,
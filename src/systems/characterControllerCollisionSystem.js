@@ -64,15 +64,15 @@ export function characterControllerCollisionSystem(
           otherCollider.userData.entity
         ) {
           const otherEntity = otherCollider.userData.entity;
-          const otherEntityId =
-            otherEntity.id || otherEntity.testId || "unknown";
+          // Unique per entity, assigned by the engine when the entity was added
+          const otherEntityId = otherEntity.id;
 
           // Track this collision (store both ID and entity reference)
           collisionTracker.currentCollisions.set(otherEntityId, otherEntity);
 
           // Only emit collision-started if this is a NEW collision
           if (!collisionTracker.lastFrameCollisions.has(otherEntityId)) {
-            eventBus.emit("collision-started", {
+            eventBus.queue("collision-started", {
               entityA: entity, // The character controller entity (usually player)
               entityB: otherEntity, // The entity we collided with
               controllerCollision: true, // Flag to indicate this came from character controller
@@ -89,7 +89,7 @@ export function characterControllerCollisionSystem(
     ] of collisionTracker.lastFrameCollisions) {
       if (!collisionTracker.currentCollisions.has(otherEntityId)) {
         // Use the cached entity reference instead of searching through all entities
-        eventBus.emit("collision-ended", {
+        eventBus.queue("collision-ended", {
           entityA: entity,
           entityB: otherEntity, // Use the cached entity reference
           controllerCollision: true,
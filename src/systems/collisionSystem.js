@@ -35,7 +35,8 @@ export function collisionSystem(world, { physics, eventBus }) {
     // Determine the event name based on whether the contact started or ended.
     const eventName = started ? "collision-started" : "collision-ended";
 
-    // Emit the high-level event on the bus with the two entities involved.
-    eventBus.emit(eventName, { entityA, entityB });
+    // Queue the high-level event on the bus with the two entities involved.
+    // It is delivered at the end of the frame, so listeners may remove either entity.
+    eventBus.queue(eventName, { entityA, entityB });
   });
 }
@@ -1,45 +1,64 @@
 import * as THREE from "three";
 
-let debugLines = null;
+/**
+ * Creates the per-engine state of the debug render system, registered as the
+ * `debugRender` resource.
+ * @returns {Object} Holds the wireframe object once it has been created.
+ */
+export function createDebugRenderState() {
+  const state = {
+    lines: null,
+    dispose: () => {
+      if (state.lines) {
+        state.lines.removeFromParent();
+        state.lines.geometry.dispose();
+        state.lines.material.dispose();
+        state.lines = null;
+      }
+    },
+  };
+  return state;
+}
 
 /**
  * A self-contained system that renders physics debug wireframes.
- * It manages its own state, creating the wireframe object on its first
- * run and updating it on every subsequent frame.
+ * It creates the wireframe object on its first run, keeps it in the
+ * `debugRender` resource and updates it on every subsequent frame.
  * @param {World} world - The ECS world.
  * @param {object} dependencies - The required engine resources.
  * @param {object} dependencies.renderer - The renderer resource.
  * @param {object} dependencies.physics - The physics resource.
+ * @param {object} dependencies.debugRender - The state created by `createDebugRenderState`.
  */
-export function debugRenderSystem(world, { renderer, physics }) {
+export function debugRenderSystem(world, { renderer, physics, debugRender }) {
   if (!renderer || !physics) {
     return;
   }
 
   // On the first run, create the debug lines object and add it to the scene
-  if (!debugLines) {
+  if (!debugRender.lines) {
     const buffers = physics.world.debugRender();
     const material = new THREE.LineBasicMaterial({ vertexColors: true });
     const geometry = new THREE.BufferGeometry();
-    debugLines = new THREE.LineSegments(geometry, material);
-    debugLines.geometry.setAttribute(
+    debugRender.lines = new THREE.LineSegments(geometry, material);
+    debugRender.lines.geometry.setAttribute(
       "position",
       new THREE.BufferAttribute(buffers.vertices, 3)
     );
-    debugLines.geometry.setAttribute(
+    debugRender.lines.geometry.setAttribute(
       "color",
       new THREE.BufferAttribute(buffers.colors, 4)
     );
-    renderer.scene.add(debugLines);
+    renderer.scene.add(debugRender.lines);
   }
 
   // On every subsequent run, just update the geometry buffers
   const buffers = physics.world.debugRender();
-  debugLines.geometry.setAttribute(
+  debugRender.lines.geometry.setAttribute(
     "position",
     new THREE.BufferAttribute(buffers.vertices, 3)
   );
-  debugLines.geometry.setAttribute(
+  debugRender.lines.geometry.setAttribute(
     "color",
     new THREE.BufferAttribute(buffers.colors, 4)
   );
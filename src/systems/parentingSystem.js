@@ -1,21 +1,120 @@
 /**
  * Parenting System
  *
- * This system updates the transform of any entity that has a `parent` component
- * to match the position of its parent entity.
+ * This system places every entity that has a `parent` component in world space:
+ * its `transform` becomes the parent's world transform combined with its own
+ * `localTransform` (position, rotation and scale relative to the parent).
+ * Entities without a `localTransform` sit exactly on their parent.
+ * A child's transform version is only bumped when its world pose changed.
  */
 
+import * as THREE from "three";
+import { composeMatrix } from "../resources/hierarchy.js";
+import { markTransformChanged } from "../components/transform.js";
+
+const _parentMatrix = new THREE.Matrix4();
+const _localMatrix = new THREE.Matrix4();
+const _worldMatrix = new THREE.Matrix4();
+const _scale = new THREE.Vector3();
+const _pose = {
+  position: new THREE.Vector3(),
+  rotation: new THREE.Quaternion(),
+  scale: new THREE.Vector3(),
+};
+const _previousParent = {
+  position: null,
+  rotation: null,
+  scale: null,
+};
+
 /**
- * Updates the transform of any entity that has a `parent` component to match the position of its parent entity. This is useful for making one entity follow another.
+ * Computes the world transform of every child entity from its parent's world transform and its local transform.
+ * Children are processed in depth order, so grandchildren use their parent's already updated pose.
  * @param {World} world - The ECS world.
  */
 export function parentingSystem(world) {
-  const query = world.with("parent", "transform");
+  const depths = new Map();
+  const children = [];
+  for (const entity of world.with("parent", "transform")) {
+    depths.set(entity, getDepth(entity));
+    children.push(entity);
+  }
+  children.sort((a, b) => depths.get(a) - depths.get(b));
+
+  for (const entity of children) {
+    const parent = entity.parent;
+    if (!parent.transform) {
+      continue;
+    }
 
-  for (const entity of query) {
-    const parentEntity = entity.parent;
-    if (parentEntity && parentEntity.transform) {
-      entity.transform.position.copy(parentEntity.transform.position);
+    const transform = entity.transform;
+    placeInParent(parent.transform, entity.localTransform, _pose);
+    const moved =
+      !_pose.position.equals(transform.position) ||
+      !_pose.rotation.equals(transform.rotation) ||
+      (transform.scale && !_pose.scale.equals(transform.scale));
+    if (moved) {
+      transform.position.copy(_pose.position);
+      transform.rotation.copy(_pose.rotation);
+      transform.scale?.copy(_pose.scale);
+      markTransformChanged(transform);
+    }
+
+    // Follow the parent's interpolated pose too, so both render in step
+    if (parent.previousTransform) {
+      if (!entity.previousTransform) {
+        world.addComponent(entity, "previousTransform", {
+          position: new THREE.Vector3(),
+          rotation: new THREE.Quaternion(),
+        });
+      }
+      _previousParent.position = parent.previousTransform.position;
+      _previousParent.rotation = parent.previousTransform.rotation;
+      _previousParent.scale = parent.transform.scale;
+      placeInParent(
+        _previousParent,
+        entity.localTransform,
+        entity.previousTransform
+      );
     }
   }
 }
+
+/**
+ * Number of ancestors of an entity. A parent cycle is cut where it closes.
+ * @param {Object} entity - The entity.
+ * @returns {number} The depth, 1 for a direct child of a root entity.
+ */
+function getDepth(entity) {
+  const visited = new Set([entity]);
+  let depth = 0;
+  for (let parent = entity.parent; parent; parent = parent.parent) {
+    if (visited.has(parent)) {
+      break;
+    }
+    visited.add(parent);
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Writes a child's world pose into `out`.
+ * @param {Object} parentPose - The parent's world position, rotation and scale.
+ * @param {Object} [local] - The child's local transform; without one the child sits on its parent.
+ * @param {Object} out - The transform to write to. Its `scale` is only written if it has one.
+ */
+function placeInParent(parentPose, local, out) {
+  if (!local) {
+    out.position.copy(parentPose.position);
+    out.rotation.copy(parentPose.rotation);
+    out.scale?.copy(parentPose.scale);
+    return;
+  }
+
+  composeMatrix(_parentMatrix, parentPose);
+  composeMatrix(_localMatrix, local);
+  _worldMatrix
+    .multiplyMatrices(_parentMatrix, _localMatrix)
+    .decompose(out.position, out.rotation, out.scale ?? _scale);
+}
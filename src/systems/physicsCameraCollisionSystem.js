@@ -8,15 +8,23 @@
 
 import * as THREE from "three";
 
-let hasInitializedCollision = false;
+/**
+ * Creates the per-engine state of the camera collision system, registered as the
+ * `cameraCollisionState` resource.
+ * @returns {Object} Tracks whether collision meshes were handed to camera-controls.
+ */
+export function createCameraCollisionState() {
+  return { initialized: false };
+}
 
 /**
  * Physics-based camera collision system
  * @param {World} world - ECS world instance
  * @param {Object} camera - Camera resource with controls and camera
+ * @param {Object} state - The state created by `createCameraCollisionState`
  */
-export function physicsCameraCollisionSystem(world, camera) {
-  if (!camera || hasInitializedCollision) {
+export function physicsCameraCollisionSystem(world, camera, state) {
+  if (!camera || state.initialized) {
     return;
   }
 
@@ -31,7 +39,7 @@ export function physicsCameraCollisionSystem(world, camera) {
       // Add this mesh to camera-controls' collision system
       camera.controls.colliderMeshes.push(collisionMesh);
       
-      hasInitializedCollision = true;
+      state.initialized = true;
       break;
     }
   }
@@ -4,8 +4,14 @@
  * ECS system that syncs authoritative physics data to ECS components.
  * ⚠️ CRITICAL: PHYSICS IS THE SINGLE SOURCE OF TRUTH FOR TRANSFORM DATA
  * This system runs AFTER physics simulation to sync physics data to ECS.
+ * Before overwriting the transform it records the previous pose in a
+ * `previousTransform` component so render-side systems can interpolate
+ * between fixed simulation steps. The transform's version is only bumped
+ * when the body actually moved, so bodies at rest are not synced to their meshes.
  */
 
+import { markTransformChanged } from "../components/transform.js";
+
 /**
  * Physics state sync system - syncs physics world data to ECS components
  * @param {World} world - ECS world instance
@@ -21,12 +27,37 @@ export function physicsStateSyncSystem(world, physicsWorld) {
   for (const entity of query) {
     const body = entity.physicsBody.rigidBody;
 
+    // Remember the pose from the previous step for render interpolation
+    if (entity.previousTransform) {
+      entity.previousTransform.position.copy(entity.transform.position);
+      entity.previousTransform.rotation.copy(entity.transform.rotation);
+    }
+
     // AUTHORITY: Physics World → ECS Transform (ONE-WAY SYNC)
+    const { position, rotation } = entity.transform;
     const pos = body.translation();
-    entity.transform.position.set(pos.x, pos.y, pos.z);
-
     const rot = body.rotation();
-    entity.transform.rotation.set(rot.x, rot.y, rot.z, rot.w);
+    const moved =
+      position.x !== pos.x ||
+      position.y !== pos.y ||
+      position.z !== pos.z ||
+      rotation.x !== rot.x ||
+      rotation.y !== rot.y ||
+      rotation.z !== rot.z ||
+      rotation.w !== rot.w;
+    if (moved) {
+      position.set(pos.x, pos.y, pos.z);
+      rotation.set(rot.x, rot.y, rot.z, rot.w);
+      markTransformChanged(entity.transform);
+    }
+
+    // First sync: there is no earlier pose, so start interpolating from here
+    if (!entity.previousTransform) {
+      world.addComponent(entity, "previousTransform", {
+        position: entity.transform.position.clone(),
+        rotation: entity.transform.rotation.clone(),
+      });
+    }
 
     // If the entity also has a character controller, sync its state.
     if (entity.physicsBody.controller && entity.movementState) {
@@ -16,8 +16,8 @@ export function pointerLockSystem(cameraControls, input, config) {
     return; // Skip if dependencies not available
   }
 
-  const pointerLockConfig = config.CAMERA?.POINTER_LOCK;
-  if (!pointerLockConfig?.ENABLED) {
+  const pointerLockConfig = config.CAMERA.POINTER_LOCK;
+  if (!pointerLockConfig.ENABLED) {
     return; // Skip if pointer lock is disabled
   }
 
@@ -0,0 +1,102 @@
+/**
+ * Profiler Overlay System
+ *
+ * Shows the profiler's latest frame timings in a small on-screen panel.
+ * Enabled with `PROFILER.OVERLAY` in the game config.
+ */
+
+// Refresh the text a few times per second so it stays readable
+const REFRESH_INTERVAL = 0.25;
+
+// Number of slowest systems listed in the panel
+const MAX_LISTED_SYSTEMS = 8;
+
+/**
+ * Creates the per-engine state of the profiler overlay, registered as the
+ * `profilerOverlay` resource.
+ * @returns {Object} Holds the overlay element once it has been created.
+ */
+export function createProfilerOverlayState() {
+  const state = {
+    element: null,
+    sinceRefresh: REFRESH_INTERVAL,
+    dispose: () => {
+      if (state.element) {
+        state.element.remove();
+        state.element = null;
+      }
+    },
+  };
+  return state;
+}
+
+/**
+ * Renders the profiler summary into the overlay element.
+ * @param {World} world - The ECS world.
+ * @param {object} dependencies - The required engine resources.
+ * @param {object} dependencies.profiler - The profiler resource.
+ * @param {object} dependencies.profilerOverlay - The state created by `createProfilerOverlayState`.
+ * @param {number} deltaTime - Real time elapsed since the last frame.
+ */
+export function profilerOverlaySystem(
+  world,
+  { profiler, profilerOverlay },
+  deltaTime
+) {
+  if (typeof document === "undefined") {
+    return;
+  }
+
+  profilerOverlay.sinceRefresh += deltaTime;
+  if (profilerOverlay.sinceRefresh < REFRESH_INTERVAL) {
+    return;
+  }
+  profilerOverlay.sinceRefresh = 0;
+
+  if (!profilerOverlay.element) {
+    const element = document.createElement("pre");
+    element.style.cssText = `
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      margin: 0;
+      padding: 8px;
+      background: rgba(0, 0, 0, 0.75);
+      color: #00ff88;
+      font: 11px monospace;
+      pointer-events: none;
+      z-index: 1000;
+    `;
+    document.body.appendChild(element);
+    profilerOverlay.element = element;
+  }
+
+  const { averages, latest } = profiler.getProfile();
+  if (!latest) {
+    return;
+  }
+
+  const slowest = Object.entries(averages.systems)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_LISTED_SYSTEMS);
+
+  const lines = [
+    `frame    ${averages.totalMs.toFixed(2)} ms`,
+    `physics  ${averages.physicsMs.toFixed(2)} ms (${latest.fixedSteps} steps)`,
+    `render   ${averages.renderMs.toFixed(2)} ms`,
+    `entities ${latest.entities}`,
+  ];
+  if (latest.renderer) {
+    const { calls, triangles, geometries, textures } = latest.renderer;
+    lines.push(
+      `draws    ${calls}  tris ${triangles}`,
+      `geoms    ${geometries}  textures ${textures}`
+    );
+  }
+  lines.push("");
+  for (const [name, ms] of slowest) {
+    lines.push(`${ms.toFixed(2).padStart(6)} ${name}`);
+  }
+
+  profilerOverlay.element.textContent = lines.join("\n");
+}
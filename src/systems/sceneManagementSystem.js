@@ -3,27 +3,22 @@
  *
  * ECS system that handles mesh lifecycle and scene graph management.
  * Uses the renderer's factory registry to create meshes for entities.
- * Also handles automatic cleanup of meshes and physics bodies when entities are removed.
+ * A factory that returns `null` is waiting for an asset to load and is
+ * called again on a later frame.
+ * Meshes and physics bodies are freed by `disposeRenderable` and
+ * `removePhysicsBody`, which the engine runs as `onRemove` component hooks
+ * as soon as an entity or its component is removed.
  */
 
-// Track meshes and physics bodies to detect orphaned resources
-const trackedMeshes = new Map(); // mesh -> entity mapping
-const trackedPhysicsBodies = new Map(); // physicsBody -> entity mapping
-
 /**
- * Scene management system - handles mesh creation, cleanup, and scene graph updates.
+ * Scene management system - handles mesh creation and scene graph updates.
  * @param {World} world - ECS world instance.
  * @param {Object} context - The engine's resource context.
  * @param {Object} context.renderer - The renderer resource.
  * @param {Object} context.assets - The asset manager resource.
- * @param {Object} context.physics - The physics resource.
  */
-export function sceneManagementSystem(world, { renderer, assets, physics }) {
-  // Handle mesh creation (existing logic)
+export function sceneManagementSystem(world, { renderer, assets }) {
   handleMeshCreation(world, renderer, assets);
-
-  // Handle automatic cleanup of orphaned resources
-  handleResourceCleanup(world, renderer, physics);
 }
 
 /**
@@ -63,16 +58,16 @@ function handleMeshCreation(world, renderer, assets) {
     }
 
     if (factory) {
+      let waiting = false;
       try {
         // Pass the entity and any necessary resources to the factory.
         const mesh = factory(entity, { assets });
+        waiting = mesh === null;
 
-        // The rest of the logic remains the same.
-        entity.renderable.mesh = mesh;
-        renderer.scene.add(mesh);
-
-        // Track this mesh for cleanup detection
-        trackedMeshes.set(mesh, entity);
+        if (!waiting) {
+          entity.renderable.mesh = mesh;
+          renderer.scene.add(mesh);
+        }
       } catch (error) {
         console.error(
           `Mesh factory for entity failed [type: ${
@@ -81,8 +76,8 @@ function handleMeshCreation(world, renderer, assets) {
           error
         );
       } finally {
-        // CRITICAL: Always mark as processed to prevent infinite loops on error.
-        entity.renderable.needsMesh = false;
+        // CRITICAL: Mark as processed unless waiting for an asset, even on error, to prevent infinite loops.
+        entity.renderable.needsMesh = waiting;
       }
     } else {
       console.warn(`No mesh factory found for type: ${entity.renderable.type}`);
@@ -90,61 +85,57 @@ function handleMeshCreation(world, renderer, assets) {
       entity.renderable.needsMesh = false;
     }
   }
-
-  // Track physics bodies for cleanup detection
-  for (const entity of world) {
-    if (entity.physicsBody && !trackedPhysicsBodies.has(entity.physicsBody)) {
-      trackedPhysicsBodies.set(entity.physicsBody, entity);
-    }
-  }
 }
 
 /**
- * Handles cleanup of orphaned meshes and physics bodies
- * @param {World} world - ECS world instance
- * @param {Object} renderer - The renderer resource
- * @param {Object} physics - The physics resource
+ * Removes a renderable's mesh from the scene and frees its geometry and materials.
+ * A mesh factory that returns a group can set `userData.dispose` to free its descendants.
+ * @param {Object} renderable - The renderable component being removed.
+ * @param {Object} renderer - The renderer resource.
  */
-function handleResourceCleanup(world, renderer, physics) {
-  // Get all current entities for quick lookup
-  const currentEntities = new Set(world);
-
-  // Check for orphaned meshes
-  for (const [mesh, entity] of trackedMeshes) {
-    if (!currentEntities.has(entity)) {
-      // Remove from Three.js scene
-      renderer.scene.remove(mesh);
+export function disposeRenderable(renderable, renderer) {
+  const mesh = renderable.mesh;
+  if (!mesh) {
+    return;
+  }
 
-      // Dispose of geometry and materials to free memory
-      if (mesh.geometry) {
-        mesh.geometry.dispose();
-      }
-      if (mesh.material) {
-        if (Array.isArray(mesh.material)) {
-          mesh.material.forEach((mat) => mat.dispose());
-        } else {
-          mesh.material.dispose();
-        }
-      }
+  // Remove from Three.js scene
+  renderer.scene.remove(mesh);
 
-      // Remove from tracking
-      trackedMeshes.delete(mesh);
+  // Dispose of geometry and materials to free memory
+  if (mesh.geometry) {
+    mesh.geometry.dispose();
+  }
+  if (mesh.material) {
+    if (Array.isArray(mesh.material)) {
+      mesh.material.forEach((mat) => mat.dispose());
+    } else {
+      mesh.material.dispose();
     }
   }
+  // Mesh factories that build hierarchies free the rest themselves
+  if (typeof mesh.userData.dispose === "function") {
+    mesh.userData.dispose();
+  }
 
-  // Check for orphaned physics bodies
-  for (const [physicsBody, entity] of trackedPhysicsBodies) {
-    if (!currentEntities.has(entity)) {
-      // Remove from physics world
-      if (physicsBody.collider) {
-        physics.world.removeCollider(physicsBody.collider, true);
-      }
-      if (physicsBody.rigidBody) {
-        physics.world.removeRigidBody(physicsBody.rigidBody);
-      }
+  // Build a new mesh if the component or its entity is added to the world again
+  renderable.mesh = null;
+  renderable.needsMesh = true;
+}
 
-      // Remove from tracking
-      trackedPhysicsBodies.delete(physicsBody);
-    }
+/**
+ * Removes a physics body's collider, rigid body and character controller from the physics world.
+ * @param {Object} physicsBody - The physicsBody component being removed.
+ * @param {Object} physics - The physics resource.
+ */
+export function removePhysicsBody(physicsBody, physics) {
+  if (physicsBody.collider) {
+    physics.world.removeCollider(physicsBody.collider, true);
+  }
+  if (physicsBody.rigidBody) {
+    physics.world.removeRigidBody(physicsBody.rigidBody);
+  }
+  if (physicsBody.controller) {
+    physics.world.removeCharacterController(physicsBody.controller);
   }
 }
@@ -2,24 +2,138 @@
  * Transform Sync System
  *
  * ECS system that syncs transform data from ECS components to visual meshes.
- * Copies position and rotation from ECS transform to THREE.js mesh objects.
+ * Copies position, rotation and scale from ECS transform to THREE.js mesh objects.
  * Works with Unity-style hierarchy: moves containers, children follow automatically.
  * DATA FLOW: Physics World → ECS Transform → Visual Container → Children
+ *
+ * Entities driven by the fixed-timestep simulation carry a `previousTransform`
+ * component. For those, the visual is placed between the previous and current
+ * simulation pose so motion stays smooth when the frame rate and the
+ * simulation rate differ.
+ *
+ * Only changed transforms are pushed to Three.js: each mesh remembers the
+ * transform `version` it last showed (see `markTransformChanged`), and is
+ * skipped while the version is the same. Transforms that were never marked
+ * have no version; as a fallback they are copied whenever their position,
+ * rotation or scale differs from what the mesh shows, so games can keep
+ * editing them in place.
+ *
+ * Entities tagged `isStatic` are left out of the per-frame sync. Their mesh
+ * is placed, and once a later frame confirms the transform did not change,
+ * its matrix is computed a last time and no longer updated every frame. It
+ * is only placed again after `markTransformChanged`.
  */
 
 /**
  * Transform sync system - copies ECS transform data to visual containers
  * @param {World} world - ECS world instance
+ * @param {number} [alpha=1] - Interpolation factor between the previous and current simulation step (0..1).
  */
-export function transformSyncSystem(world) {
+export function transformSyncSystem(world, alpha = 1) {
   const query = world
     .with("renderable", "transform")
+    .without("isStatic")
     .where((e) => e.renderable.mesh);
 
   for (const entity of query) {
+    const mesh = entity.renderable.mesh;
+    const transform = entity.transform;
+    const previous = entity.previousTransform;
+
+    if (previous && !isAtRest(previous, transform)) {
+      // SYNC: Interpolated simulation pose → Visual Container
+      mesh.position.lerpVectors(previous.position, transform.position, alpha);
+      mesh.quaternion.slerpQuaternions(
+        previous.rotation,
+        transform.rotation,
+        alpha
+      );
+      syncScale(mesh, transform);
+      // Show the exact pose once the entity comes to rest
+      mesh.userData.transformVersion = undefined;
+      continue;
+    }
+
+    if (!hasChanged(mesh, transform)) {
+      continue;
+    }
+
     // SYNC: ECS Transform → Visual Container (simple, clean)
     // Container moves, children automatically follow with their offsets
-    entity.renderable.mesh.position.copy(entity.transform.position);
-    entity.renderable.mesh.quaternion.copy(entity.transform.rotation);
+    syncPose(mesh, transform);
+  }
+
+  for (const entity of world.with("renderable", "transform", "isStatic")) {
+    const mesh = entity.renderable.mesh;
+    if (mesh) {
+      syncStatic(mesh, entity.transform);
+    }
+  }
+}
+
+/**
+ * Places the mesh of an entity tagged `isStatic`. Its matrix stays automatic
+ * until a frame finds the transform unchanged, so edits made right after the
+ * entity was added are still picked up; then the matrix is frozen until the
+ * transform's version changes.
+ * @param {THREE.Object3D} mesh - The entity's visual container.
+ * @param {Object} transform - The entity's transform.
+ */
+function syncStatic(mesh, transform) {
+  const version = transform.version ?? 0;
+  if (mesh.matrixAutoUpdate) {
+    if (hasChanged(mesh, transform)) {
+      syncPose(mesh, transform);
+      return;
+    }
+    mesh.userData.staticTransformVersion = version;
+    mesh.matrixAutoUpdate = false;
+    mesh.updateMatrix();
+  } else if (mesh.userData.staticTransformVersion !== version) {
+    syncPose(mesh, transform);
+    mesh.matrixAutoUpdate = true;
+  }
+}
+
+/**
+ * @param {Object} previous - The pose of the previous simulation step.
+ * @param {Object} transform - The current pose.
+ * @returns {boolean} True if the entity did not move during the last step.
+ */
+function isAtRest(previous, transform) {
+  return (
+    previous.position.equals(transform.position) &&
+    previous.rotation.equals(transform.rotation)
+  );
+}
+
+/**
+ * Transforms with a version are compared by version. Without one (never passed to
+ * `markTransformChanged`) the pose itself is compared, which costs a little more per frame.
+ * @param {THREE.Object3D} mesh - The entity's visual container.
+ * @param {Object} transform - The entity's transform.
+ * @returns {boolean} True if the mesh does not show the transform's current pose.
+ */
+function hasChanged(mesh, transform) {
+  if (transform.version !== undefined) {
+    return mesh.userData.transformVersion !== transform.version;
+  }
+  return (
+    !mesh.position.equals(transform.position) ||
+    !mesh.quaternion.equals(transform.rotation) ||
+    (transform.scale !== undefined && !mesh.scale.equals(transform.scale))
+  );
+}
+
+function syncPose(mesh, transform) {
+  mesh.position.copy(transform.position);
+  mesh.quaternion.copy(transform.rotation);
+  syncScale(mesh, transform);
+  mesh.userData.transformVersion = transform.version;
+}
+
+function syncScale(mesh, transform) {
+  if (transform.scale) {
+    mesh.scale.copy(transform.scale);
   }
 }
@@ -51,7 +51,7 @@ export function triggerDetectionSystem(world, eventBus) {
         // Entity entered trigger zone
         triggerZone.triggerZone.currentlyInside.add(triggerable.id);
         
-        eventBus.emit("trigger-entered", {
+        eventBus.queue("trigger-entered", {
           triggerable,
           trigger: triggerZone,
           triggerType: triggerZone.triggerZone.type || "generic"
@@ -61,7 +61,7 @@ export function triggerDetectionSystem(world, eventBus) {
         // Entity exited trigger zone
         triggerZone.triggerZone.currentlyInside.delete(triggerable.id);
         
-        eventBus.emit("trigger-exited", {
+        eventBus.queue("trigger-exited", {
           triggerable,
           trigger: triggerZone,
           triggerType: triggerZone.triggerZone.type || "generic"
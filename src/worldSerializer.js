@@ -0,0 +1,231 @@
+/**
+ * @module WorldSerializer
+ * @description
+ * Converts the entities of an ECS world to versioned, JSON-compatible save data and back.
+ *
+ * Components with a registered serializer are converted by it. Any other component is saved
+ * as-is if it is plain data: numbers, strings, booleans, arrays, plain objects, Three.js
+ * vectors, quaternions, colors and eulers, and references to other entities. Runtime
+ * components that the engine rebuilds (meshes, physics bodies, animation mixers) are
+ * registered with a `null` serializer and never saved. Entities with `excludeFromSave`
+ * are skipped entirely.
+ */
+
+import * as THREE from "three";
+import { transformSerializer } from "./components/transform.js";
+import { renderableSerializer } from "./components/renderable.js";
+import { movementStateSerializer } from "./components/movementState.js";
+import { cameraDirectionSerializer } from "./components/cameraDirection.js";
+import { triggerZoneSerializer } from "./components/triggerComponents.js";
+
+export const SAVE_FORMAT = "roseblox-world";
+export const SAVE_FORMAT_VERSION = 1;
+
+// Three.js value types saved as `{ $three: type, value: [...] }`, by their type flag
+const THREE_TYPES = [
+  ["isVector2", "Vector2"],
+  ["isVector3", "Vector3"],
+  ["isVector4", "Vector4"],
+  ["isQuaternion", "Quaternion"],
+  ["isColor", "Color"],
+  ["isEuler", "Euler"],
+];
+
+/**
+ * Creates the component serializers the engine starts with.
+ * @returns {Map<string, {serialize: Function, deserialize: Function}|null>} Serializers by component name;
+ *   `null` marks a runtime component that is not saved.
+ */
+export function createComponentSerializers() {
+  return new Map([
+    ["transform", transformSerializer],
+    ["localTransform", transformSerializer],
+    ["renderable", renderableSerializer],
+    ["movementState", movementStateSerializer],
+    ["cameraDirection", cameraDirectionSerializer],
+    ["triggerZone", triggerZoneSerializer],
+    // Rebuilt from the other components after loading
+    ["physicsBody", null],
+    ["animationMixer", null],
+    ["animationData", null],
+    ["previousTransform", null],
+  ]);
+}
+
+/**
+ * Converts every entity in the world, except those with `excludeFromSave`, to save data.
+ * @param {World} world - The ECS world.
+ * @param {Map<string, object|null>} serializers - The component serializers.
+ * @returns {{format: string, version: number, entities: object[]}} JSON-compatible save data.
+ * @throws {Error} If a component without a serializer holds anything other than plain data.
+ */
+export function serializeWorld(world, serializers) {
+  const context = {
+    encode: (value) => encodeValue(value, world),
+    decode: () => {
+      throw new Error("decode() is only available while loading");
+    },
+  };
+
+  const entities = [];
+  // In the order they were added, so loading recreates them in the same order
+  for (const entity of world.entities) {
+    if (entity.excludeFromSave) {
+      continue;
+    }
+
+    const data = {};
+    for (const [component, value] of Object.entries(entity)) {
+      const serializer = serializers.get(component);
+      if (value === undefined || serializer === null) {
+        continue;
+      }
+      try {
+        data[component] = serializer
+          ? serializer.serialize(value, context)
+          : encodeValue(value, world);
+      } catch (error) {
+        throw new Error(
+          `Cannot save component '${component}' of entity ${entity.id}: ${error.message}`
+        );
+      }
+    }
+    entities.push(data);
+  }
+
+  return { format: SAVE_FORMAT, version: SAVE_FORMAT_VERSION, entities };
+}
+
+/**
+ * Recreates entities from save data. The entities are returned, not added to a world.
+ * @param {string|object} json - Save data from `serializeWorld`, or its JSON string.
+ * @param {Map<string, object|null>} serializers - The component serializers.
+ * @param {function(number|string): object|undefined} findEntityById - Finds entities that were not saved
+ *   (e.g. ones with `excludeFromSave`) for references to them. It is only asked for ids that no
+ *   recreated entity has.
+ * @returns {object[]} The recreated entities, in saved order.
+ * @throws {Error} If the data is not a save, comes from a newer format version, or a component cannot be restored.
+ */
+export function deserializeWorld(json, serializers, findEntityById) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (data?.format !== SAVE_FORMAT || !Array.isArray(data.entities)) {
+    throw new Error("Invalid save data: not a Roseblox world save.");
+  }
+  if (!Number.isInteger(data.version) || data.version > SAVE_FORMAT_VERSION) {
+    throw new Error(
+      `Invalid save data: format version ${data.version} is not supported (latest is ${SAVE_FORMAT_VERSION}).`
+    );
+  }
+
+  // Create every entity first so references between them can be resolved in any order
+  const byId = new Map();
+  const entities = data.entities.map((saved) => {
+    const entity = saved.id === undefined ? {} : { id: saved.id };
+    if (saved.id !== undefined) {
+      byId.set(saved.id, entity);
+    }
+    return entity;
+  });
+
+  const resolveEntity = (id) => {
+    const entity = byId.get(id) ?? findEntityById(id);
+    if (!entity) {
+      console.warn(`⚠️ Save data references missing entity ${id}.`);
+    }
+    return entity ?? null;
+  };
+  const context = {
+    encode: () => {
+      throw new Error("encode() is only available while saving");
+    },
+    decode: (value) => decodeValue(value, resolveEntity),
+  };
+
+  data.entities.forEach((saved, index) => {
+    const entity = entities[index];
+    for (const [component, value] of Object.entries(saved)) {
+      if (component === "id") {
+        continue;
+      }
+      const serializer = serializers.get(component);
+      if (serializer === null) {
+        continue;
+      }
+      try {
+        entity[component] = serializer
+          ? serializer.deserialize(value, context)
+          : decodeValue(value, resolveEntity);
+      } catch (error) {
+        throw new Error(
+          `Cannot load component '${component}' of entity ${saved.id}: ${error.message}`
+        );
+      }
+    }
+  });
+
+  return entities;
+}
+
+function encodeValue(value, world) {
+  if (
+    value === null ||
+    typeof value === "number" ||
+    typeof value === "string" ||
+    typeof value === "boolean"
+  ) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => encodeValue(item, world));
+  }
+  if (typeof value === "object") {
+    if (world.has(value)) {
+      return { $entity: value.id };
+    }
+    const threeType = THREE_TYPES.find(([flag]) => value[flag]);
+    if (threeType) {
+      return { $three: threeType[1], value: value.toArray() };
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype === Object.prototype || prototype === null) {
+      const encoded = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (item !== undefined) {
+          encoded[key] = encodeValue(item, world);
+        }
+      }
+      return encoded;
+    }
+  }
+
+  const kind =
+    typeof value === "object"
+      ? value.constructor?.name || "object"
+      : typeof value;
+  throw new Error(
+    `${kind} is not plain data; register a serializer with engine.registerComponentSerializer() or mark the entity with excludeFromSave.`
+  );
+}
+
+function decodeValue(value, resolveEntity) {
+  if (Array.isArray(value)) {
+    return value.map((item) => decodeValue(item, resolveEntity));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if ("$entity" in value) {
+    return resolveEntity(value.$entity);
+  }
+  if ("$three" in value) {
+    if (!THREE_TYPES.some(([, type]) => type === value.$three)) {
+      throw new Error(`unknown Three.js type '${value.$three}'`);
+    }
+    return new THREE[value.$three]().fromArray(value.value);
+  }
+  const decoded = {};
+  for (const [key, item] of Object.entries(value)) {
+    decoded[key] = decodeValue(item, resolveEntity);
+  }
+  return decoded;
+}
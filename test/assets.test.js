@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AssetManager } from "../src/resources/assetManager.js";
+
+/**
+ * An asset manager whose loaders record which one was picked instead of loading anything.
+ * @returns {AssetManager}
+ */
+function createRecordingManager() {
+  const manager = new AssetManager();
+  for (const loader of ["loadGLTF", "loadTexture", "loadEnvironment", "loadJSON"]) {
+    manager[loader] = async () => loader;
+  }
+  return manager;
+}
+
+test("loaders are chosen by the extension of the URL's file name", async () => {
+  const manager = createRecordingManager();
+  const loaderFor = (url) => manager.loadAsset({ key: url, url });
+
+  assert.equal(await loaderFor("models/hero.glb"), "loadGLTF");
+  assert.equal(await loaderFor("textures/Bark.JPG"), "loadTexture");
+  assert.equal(await loaderFor("sky/studio.hdr"), "loadEnvironment");
+  assert.equal(await loaderFor("prefabs/boss.json?v=2#top"), "loadJSON");
+  assert.equal(await loaderFor("textures/foo.json.png"), "loadTexture");
+});
+
+test("URLs without a file extension are skipped unless a type is given", async (t) => {
+  const manager = createRecordingManager();
+  t.mock.method(console, "warn", () => {});
+
+  assert.equal(
+    await manager.loadAsset({ key: "a", url: "api/data?format=.json" }),
+    null
+  );
+  assert.equal(
+    await manager.loadAsset({ key: "b", url: "assets.v2/prefabs/boss" }),
+    null
+  );
+  assert.equal(
+    await manager.loadAsset({ key: "c", url: "api/data", type: "json" }),
+    "loadJSON"
+  );
+});
+
+test("progress is counted per batch and starts over once every load has settled", async () => {
+  const manager = createRecordingManager();
+  let finishSlow;
+  manager.loadJSON = () => new Promise((resolve) => (finishSlow = resolve));
+
+  const first = manager.loadAsset({ key: "a", url: "models/a.glb" });
+  const slow = manager.loadAsset({ key: "b", url: "data/b.json" });
+  await first;
+  assert.equal(manager.getProgress().itemsTotal, 2);
+  assert.equal(manager.getProgress().progress, 0.5);
+
+  // Joins the running batch
+  await manager.loadAsset({ key: "c", url: "textures/c.png" });
+  finishSlow({});
+  await slow;
+  assert.deepEqual(
+    [manager.getProgress().itemsLoaded, manager.getProgress().itemsTotal],
+    [3, 3]
+  );
+  assert.equal(manager.getProgress().progress, 1);
+
+  await manager.loadAsset({ key: "d", url: "models/d.glb" });
+  assert.deepEqual(
+    [manager.getProgress().itemsLoaded, manager.getProgress().itemsTotal],
+    [1, 1]
+  );
+});
@@ -0,0 +1,228 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveConfig,
+  mergeConfig,
+  diffConfig,
+  hasConfigChanged,
+  DEFAULT_FIXED_TIMESTEP,
+} from "../src/configSchema.js";
+import { createEngine } from "../src/index.js";
+
+test("missing sections and values get their defaults", () => {
+  const config = resolveConfig({ CAMERA: { FOV: 60 } });
+
+  assert.equal(config.CAMERA.FOV, 60);
+  assert.equal(config.CAMERA.NEAR, 0.1);
+  assert.deepEqual(config.CAMERA.INITIAL_OFFSET, { x: 0, y: 5, z: 8 });
+  assert.equal(config.LOOP.FIXED_TIMESTEP, DEFAULT_FIXED_TIMESTEP);
+  assert.deepEqual(config.PHYSICS.GRAVITY, { x: 0, y: -9.81, z: 0 });
+  assert.deepEqual(config.assets, []);
+});
+
+test("the input config is not modified", () => {
+  const input = { CAMERA: { FOV: 60 } };
+
+  resolveConfig(input);
+
+  assert.deepEqual(input, { CAMERA: { FOV: 60 } });
+});
+
+test("every invalid value is reported at once with its path", () => {
+  assert.throws(
+    () =>
+      resolveConfig({
+        SHADOWS: { MAP_SIZE: 0 },
+        CAMERA: { FOV: "wide" },
+        SYSTEM_ERRORS: { POLICY: "ignore" },
+      }),
+    (error) => {
+      assert.match(error.message, /^Invalid game config:/);
+      assert.match(error.message, /SHADOWS\.MAP_SIZE: must be at least 1, got 0/);
+      assert.match(error.message, /CAMERA\.FOV: expected number, got string 'wide'/);
+      assert.match(
+        error.message,
+        /SYSTEM_ERRORS\.POLICY: expected one of 'log-once', 'disable', 'halt', got 'ignore'/
+      );
+      return true;
+    }
+  );
+});
+
+test("LOOP.FIXED_TIMESTEP must be positive and at most 0.25 seconds", () => {
+  for (const value of [0, -1 / 60, 16]) {
+    assert.throws(
+      () => resolveConfig({ LOOP: { FIXED_TIMESTEP: value } }),
+      /LOOP\.FIXED_TIMESTEP: must be/
+    );
+  }
+  assert.equal(
+    resolveConfig({ LOOP: { FIXED_TIMESTEP: 0.25 } }).LOOP.FIXED_TIMESTEP,
+    0.25
+  );
+});
+
+test("game sections pass through, but a misspelled engine section is an error", () => {
+  const player = { RUN_SPEED: 8 };
+  assert.equal(resolveConfig({ PLAYER: player }).PLAYER, player);
+
+  assert.throws(
+    () => resolveConfig({ CAMRA: { FOV: 60 } }),
+    /CAMRA: unknown engine section \(did you mean 'CAMERA'\?\)/
+  );
+});
+
+test("unknown keys in engine sections are kept with a single warning", (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  const warned = new Set();
+  const config = resolveConfig(
+    {
+      PHYSICS: { CHARACTER_CONTROLLER_OFFSET: 0.01 },
+      CAMERA: { MAX_DISTANSE: 20 },
+    },
+    warned
+  );
+  resolveConfig({ PHYSICS: { CHARACTER_CONTROLLER_OFFSET: 0.02 } }, warned);
+
+  assert.equal(config.PHYSICS.CHARACTER_CONTROLLER_OFFSET, 0.01);
+  assert.equal(config.CAMERA.MAX_DISTANSE, 20);
+  assert.equal(config.CAMERA.MAX_DISTANCE, 15);
+  const warnings = console.warn.mock.calls.map((call) => call.arguments[0]);
+  assert.equal(warnings.length, 2);
+  assert.ok(
+    warnings.some((warning) =>
+      /'PHYSICS\.CHARACTER_CONTROLLER_OFFSET' is not an engine setting;/.test(warning)
+    )
+  );
+  assert.ok(
+    warnings.some((warning) =>
+      /'CAMERA\.MAX_DISTANSE' .*did you mean 'MAX_DISTANCE'/.test(warning)
+    )
+  );
+});
+
+test("each engine warns about unknown keys once, updates included", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const config = { PHYSICS: { CHARACTER_CONTROLLER_OFFSET: 0.01 } };
+
+  const first = createEngine({ headless: true });
+  await first.init(config);
+  first.updateConfig({ LIGHTING: { AMBIENT_INTENSITY: 0.1 } });
+  const second = createEngine({ headless: true });
+  await second.init(config);
+
+  const warnings = console.warn.mock.calls.filter((call) =>
+    /CHARACTER_CONTROLLER_OFFSET/.test(call.arguments[0])
+  );
+  assert.equal(warnings.length, 2);
+  first.dispose();
+  second.dispose();
+});
+
+test("deprecated keys are moved to their schema location", (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  const config = resolveConfig({ gravity: { x: 0, y: -20, z: 0 } });
+
+  assert.deepEqual(config.PHYSICS.GRAVITY, { x: 0, y: -20, z: 0 });
+  assert.equal("gravity" in config, false);
+});
+
+test("mergeConfig() merges sections key by key and revalidates", () => {
+  const config = resolveConfig({ CAMERA: { FOV: 60 } });
+
+  const merged = mergeConfig(config, { CAMERA: { NEAR: 0.5 } });
+
+  assert.equal(merged.CAMERA.FOV, 60);
+  assert.equal(merged.CAMERA.NEAR, 0.5);
+  assert.equal(config.CAMERA.NEAR, 0.1);
+  assert.throws(
+    () => mergeConfig(config, { LIGHTING: { AMBIENT_INTENSITY: -1 } }),
+    /LIGHTING\.AMBIENT_INTENSITY: must be at least 0/
+  );
+});
+
+test("mergeConfig() refuses to change settings only read during init()", () => {
+  const config = resolveConfig({});
+
+  assert.throws(
+    () => mergeConfig(config, { headless: true, RENDERER: { ANTIALIAS: false } }),
+    /Cannot change headless, RENDERER\.ANTIALIAS after init\(\)/
+  );
+});
+
+test("diffConfig() lists the paths of changed values", () => {
+  const previous = resolveConfig({ PLAYER: { SPEED: 1 } });
+  const next = mergeConfig(previous, {
+    CAMERA: { FOV: 60, INITIAL_OFFSET: { y: 6 } },
+    PLAYER: { SPEED: 2 },
+    assets: [],
+  });
+
+  assert.deepEqual(diffConfig(previous, next).sort(), [
+    "CAMERA.FOV",
+    "CAMERA.INITIAL_OFFSET.y",
+    "PLAYER.SPEED",
+  ]);
+  assert.deepEqual(diffConfig(next, next), []);
+});
+
+test("engine.updateConfig() applies changes and emits config-changed", async () => {
+  const sim = createEngine({ headless: true });
+  await sim.init({ LIGHTING: { AMBIENT_INTENSITY: 0.4 } });
+  const events = [];
+  sim.on("config-changed", (event) => events.push(event));
+
+  const changed = sim.updateConfig({
+    LIGHTING: { AMBIENT_INTENSITY: 0.1 },
+    LOOP: { FIXED_TIMESTEP: 1 / 30 },
+  });
+
+  assert.deepEqual(changed.sort(), [
+    "LIGHTING.AMBIENT_INTENSITY",
+    "LOOP.FIXED_TIMESTEP",
+  ]);
+  assert.equal(sim.getConfig().LIGHTING.AMBIENT_INTENSITY, 0.1);
+  assert.equal(sim.time.fixedDelta, 1 / 30);
+  // Rapier stores the timestep as a 32-bit float
+  assert.equal(sim.getResource("physics").world.timestep, Math.fround(1 / 30));
+  assert.equal(events.length, 1);
+  assert.equal(events[0].previous.LIGHTING.AMBIENT_INTENSITY, 0.4);
+  assert.deepEqual(sim.updateConfig({ LIGHTING: { AMBIENT_INTENSITY: 0.1 } }), []);
+  assert.equal(events.length, 1);
+  sim.dispose();
+});
+
+test("hasConfigChanged() matches settings, their sections and their values", () => {
+  const changed = ["SHADOWS.MAP_SIZE", "CAMERA.INITIAL_OFFSET.y"];
+
+  assert.equal(hasConfigChanged(changed, "SHADOWS"), true);
+  assert.equal(hasConfigChanged(changed, "SHADOWS.MAP_SIZE"), true);
+  assert.equal(hasConfigChanged(changed, "CAMERA.INITIAL_OFFSET"), true);
+  assert.equal(hasConfigChanged(changed, "SHADOWS.MAP"), false);
+  assert.equal(hasConfigChanged(changed, "SCENE.BACKGROUND_COLOR"), false);
+  assert.equal(hasConfigChanged(undefined, "SCENE.BACKGROUND_COLOR"), true);
+});
+
+test("engine.updateConfig() only re-applies the changed settings", async () => {
+  const sim = createEngine({ headless: true });
+  await sim.init({ SCENE: { BACKGROUND_COLOR: 0x112233 } });
+  const { scene } = sim.getResource("renderer");
+  const { ambientLight } = sim.getResource("lighting");
+
+  // A game may replace the background (e.g. with a skybox texture) or tune
+  // a light directly; unrelated updates must leave those alone
+  const skybox = { isTexture: true, dispose() {} };
+  scene.background = skybox;
+  ambientLight.color.set(0xff0000);
+  sim.updateConfig({ LIGHTING: { AMBIENT_INTENSITY: 0.1 } });
+
+  assert.equal(scene.background, skybox);
+  assert.equal(ambientLight.color.getHex(), 0xff0000);
+  assert.equal(ambientLight.intensity, 0.1);
+
+  sim.updateConfig({ SCENE: { BACKGROUND_COLOR: 0x445566 } });
+  assert.equal(scene.background.getHex(), 0x445566);
+  sim.dispose();
+});
@@ -0,0 +1,181 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine } from "../src/index.js";
+
+test("on() returns a function that unsubscribes the listener", () => {
+  const engine = createEngine({ headless: true });
+  const calls = [];
+  const unsubscribe = engine.on("score", (data) => calls.push(data));
+
+  engine.emit("score", 1);
+  unsubscribe();
+  engine.emit("score", 2);
+
+  assert.deepEqual(calls, [1]);
+});
+
+test("once() listeners run a single time", () => {
+  const engine = createEngine({ headless: true });
+  const calls = [];
+  engine.once("level-loaded", (data) => calls.push(data));
+  engine.on("level-loaded", (data) => calls.push(`on:${data}`), {
+    once: true,
+  });
+
+  engine.emit("level-loaded", "a");
+  engine.emit("level-loaded", "b");
+
+  assert.deepEqual(calls, ["a", "on:a"]);
+});
+
+test("wildcard listeners receive matching events with their name", () => {
+  const engine = createEngine({ headless: true });
+  const calls = [];
+  engine.on("collision-*", (data, eventName) => calls.push([eventName, data]));
+
+  engine.emit("collision-start", 1);
+  engine.emit("collision-end", 2);
+  engine.emit("trigger-entered", 3);
+  engine.emit("collision", 4);
+
+  assert.deepEqual(calls, [
+    ["collision-start", 1],
+    ["collision-end", 2],
+  ]);
+});
+
+test("a once() wildcard listener is removed after its first match", () => {
+  const engine = createEngine({ headless: true });
+  const calls = [];
+  engine.once("asset-*", (data, eventName) => calls.push(eventName));
+
+  engine.emit("asset-loaded");
+  engine.emit("asset-error");
+
+  assert.deepEqual(calls, ["asset-loaded"]);
+});
+
+test("listeners run by descending priority, then in subscription order", () => {
+  const engine = createEngine({ headless: true });
+  const calls = [];
+  engine.on("hit", () => calls.push("default"));
+  engine.on("hit", () => calls.push("low"), { priority: -5 });
+  engine.on("hit-*", () => calls.push("wildcard-high"), { priority: 10 });
+  engine.on("hit", () => calls.push("default-2"));
+  engine.on("hit", () => calls.push("high"), { priority: 10 });
+
+  engine.emit("hit");
+  engine.emit("hit-player");
+
+  assert.deepEqual(calls, [
+    "high",
+    "default",
+    "default-2",
+    "low",
+    "wildcard-high",
+  ]);
+});
+
+test("off() removes a listener subscribed by name or by pattern", () => {
+  const engine = createEngine({ headless: true });
+  const calls = [];
+  const byName = () => calls.push("name");
+  const byPattern = () => calls.push("pattern");
+  engine.on("jump", byName);
+  engine.on("j*", byPattern);
+
+  engine.off("jump", byName);
+  engine.off("j*", byPattern);
+  engine.emit("jump");
+
+  assert.deepEqual(calls, []);
+});
+
+test("a failing listener does not stop the others", (t) => {
+  const engine = createEngine({ headless: true });
+  t.mock.method(console, "error", () => {});
+  const calls = [];
+  engine.on("boom", () => {
+    throw new Error("listener failed");
+  });
+  engine.on("boom", () => calls.push("after"));
+
+  engine.emit("boom");
+
+  assert.deepEqual(calls, ["after"]);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("queued events are delivered at the end of the frame, after every system", async () => {
+  const sim = createEngine({ headless: true });
+  const log = [];
+  sim.on("enemy-defeated", (data) => log.push(`event:${data}`));
+  sim.registerSystem("combat", {
+    dependencies: ["eventBus"],
+    update: (world, { eventBus }) => {
+      eventBus.queue("enemy-defeated", "orc");
+      log.push("combat");
+    },
+    priority: 10,
+  });
+  sim.registerSystem("late", {
+    update: () => log.push("late"),
+    priority: 90,
+  });
+  await sim.init();
+
+  sim.tick();
+  assert.deepEqual(log, ["combat", "late", "event:orc"]);
+  sim.dispose();
+});
+
+test("events queued while the queue is delivered wait for the next frame", async () => {
+  const sim = createEngine({ headless: true });
+  const log = [];
+  sim.on("ping", () => {
+    log.push("ping");
+    sim.queue("pong");
+  });
+  sim.on("pong", () => log.push("pong"));
+  await sim.init();
+
+  sim.queue("ping");
+  sim.tick();
+  assert.deepEqual(log, ["ping"]);
+
+  sim.tick();
+  assert.deepEqual(log, ["ping", "pong"]);
+  sim.dispose();
+});
+
+test("events queued before a system halts the loop are still delivered", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const sim = createEngine({
+    headless: true,
+    SYSTEM_ERRORS: { POLICY: "halt" },
+  });
+  const log = [];
+  sim.on("enemy-defeated", (data) => log.push(`event:${data}`));
+  sim.registerSystem("combat", {
+    update: () => sim.queue("enemy-defeated", "orc"),
+    priority: 10,
+  });
+  sim.registerSystem("broken", {
+    update: () => {
+      throw new Error("broken");
+    },
+    priority: 20,
+  });
+  await sim.init();
+
+  sim.tick();
+  assert.equal(sim.halted, true);
+  assert.deepEqual(log, ["event:orc"]);
+  assert.equal(sim.eventQueue.length, 0);
+
+  sim.setSystemEnabled("broken", false);
+  sim.clearHalt();
+  sim.tick();
+  assert.deepEqual(log, ["event:orc", "event:orc"]);
+  sim.dispose();
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine } from "../src/index.js";
+
+/**
+ * Creates a headless engine with a fixed system that counts simulation steps.
+ * @param {Object} [options] - Options for `createEngine`.
+ * @returns {Promise<{sim: Object, steps: {count: number}}>} The initialized engine and its step counter.
+ */
+async function createCountingEngine(options = {}) {
+  const sim = createEngine({ headless: true, ...options });
+  const steps = { count: 0 };
+  sim.registerSystem("count-steps", {
+    update: () => steps.count++,
+    fixed: true,
+  });
+  await sim.init();
+  return { sim, steps };
+}
+
+test("a headless engine initializes and ticks in Node", async () => {
+  const sim = createEngine({ headless: true });
+  await sim.init();
+
+  sim.tick();
+
+  assert.equal(sim.isInitialized(), true);
+  assert.equal(sim.time.frame, 1);
+  assert.ok(sim.getResource("physics").world);
+  sim.dispose();
+});
+
+test("tick() without a delta runs exactly one fixed step", async () => {
+  const { sim, steps } = await createCountingEngine();
+
+  for (let i = 0; i < 10; i++) sim.tick();
+
+  assert.equal(steps.count, 10);
+  assert.equal(sim.time.frame, 10);
+  sim.dispose();
+});
+
+test("tick(delta) runs the fixed steps that fit and keeps the remainder for interpolation", async () => {
+  const { sim, steps } = await createCountingEngine({
+    LOOP: { FIXED_TIMESTEP: 0.125 },
+  });
+
+  sim.tick(0.3125);
+
+  assert.equal(steps.count, 2);
+  assert.equal(sim.time.alpha, 0.5);
+  sim.dispose();
+});
+
+test("long frames are clamped to LOOP.MAX_SUBSTEPS steps", async () => {
+  const { sim, steps } = await createCountingEngine({
+    LOOP: { FIXED_TIMESTEP: 0.125, MAX_SUBSTEPS: 3 },
+  });
+
+  sim.tick(10);
+
+  assert.equal(steps.count, 3);
+  sim.dispose();
+});
+
+test("a paused engine runs no fixed steps until step() is called", async () => {
+  const { sim, steps } = await createCountingEngine();
+
+  sim.pause();
+  sim.tick();
+  assert.equal(steps.count, 0);
+
+  sim.step(2);
+  assert.equal(steps.count, 2);
+  assert.equal(sim.isPaused(), true);
+  sim.dispose();
+});
+
+test("the physics world steps on the engine's fixed timestep", async () => {
+  const sim = createEngine({ headless: true });
+  let body;
+  sim.registerSetup("falling-ball", {
+    dependencies: ["physics"],
+    init: (world, { physics }) => {
+      const { RAPIER } = physics;
+      body = physics.world.createRigidBody(
+        RAPIER.RigidBodyDesc.dynamic().setTranslation(0, 10, 0)
+      );
+      physics.world.createCollider(RAPIER.ColliderDesc.ball(0.5), body);
+    },
+  });
+  await sim.init();
+
+  for (let i = 0; i < 30; i++) sim.tick();
+
+  assert.ok(body.translation().y < 10);
+  sim.dispose();
+});
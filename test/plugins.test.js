@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine } from "../src/index.js";
+
+test("plugins cannot claim the names of core resources and systems before init()", () => {
+  const sim = createEngine({ headless: true });
+
+  assert.throws(
+    () => sim.use({ name: "bad-renderer", resources: { renderer: () => ({}) } }),
+    /resource 'renderer' \(reserved by the engine\)/
+  );
+  assert.throws(
+    () =>
+      sim.use({
+        name: "bad-step",
+        systems: { physicsStep: { update: () => {} } },
+      }),
+    /runtime system 'physicsStep' \(reserved by the engine\)/
+  );
+  assert.equal(sim.plugins.size, 0);
+});
+
+test("a plugin whose registration fails is rolled back", () => {
+  const sim = createEngine({ headless: true });
+  const events = [];
+
+  assert.throws(
+    () =>
+      sim.use({
+        name: "broken",
+        resources: { score: () => ({ value: 0 }) },
+        systems: {
+          tally: { update: () => {} },
+          bad: { update: () => {}, stage: "no-such-stage" },
+        },
+        events: { "score-changed": (data) => events.push(data) },
+      }),
+    /unknown stage 'no-such-stage'/
+  );
+
+  assert.equal(sim.plugins.has("broken"), false);
+  assert.equal(sim.resources.has("score"), false);
+  assert.deepEqual(sim.getSystems(), []);
+  sim.emit("score-changed", 1);
+  assert.deepEqual(events, []);
+
+  // The same plugin can be installed once it is fixed
+  sim.use({ name: "broken", resources: { score: () => ({ value: 0 }) } });
+  assert.equal(sim.plugins.has("broken"), true);
+});
+
+test("a plugin failing after init() is rolled back and its promise rejects", async () => {
+  const sim = createEngine({ headless: true });
+  await sim.init();
+  let hudDisposed = false;
+
+  await assert.rejects(
+    sim.use({
+      name: "late",
+      resources: { hud: () => ({ dispose: () => (hudDisposed = true) }) },
+      meshFactories: { hudMesh: () => null },
+      setups: {
+        "late-setup": {
+          init: () => {
+            throw new Error("setup failed");
+          },
+        },
+      },
+    }),
+    /setup failed/
+  );
+
+  assert.equal(sim.plugins.has("late"), false);
+  assert.throws(() => sim.getResource("hud"), /not available/);
+  assert.equal(hudDisposed, true);
+  assert.equal(sim.getResource("renderer").getMeshFactory("hudMesh"), undefined);
+  sim.dispose();
+});
+
+test("plugin factories are installed before setup systems pulled in by resources run", async () => {
+  const sim = createEngine({ headless: true });
+  let factoryDuringSetup;
+  sim.use({
+    name: "trees",
+    meshFactories: { tree: () => null },
+    setups: {
+      "plant-forest": {
+        dependencies: ["renderer"],
+        provides: ["forest"],
+        init: (world, { renderer }, config, engine) => {
+          factoryDuringSetup = renderer.getMeshFactory("tree");
+          engine.addResource("forest", { trees: [] });
+        },
+      },
+    },
+  });
+  // Created in Phase 1, which runs the providing setup system early
+  sim.registerResource("forestMap", {
+    dependencies: ["forest"],
+    factory: (config, { forest }) => ({ forest }),
+  });
+
+  await sim.init();
+
+  assert.equal(typeof factoryDuringSetup, "function");
+  sim.dispose();
+});
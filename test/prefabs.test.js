@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createEngine } from "../src/index.js";
+
+test("spawned entities get their prefab's components and its name", () => {
+  const engine = createEngine({ headless: true });
+  engine.definePrefab("coin", { value: 1, spin: { speed: 2 } });
+
+  const coin = engine.spawn("coin");
+
+  assert.equal(engine.getWorld().has(coin), true);
+  assert.equal(coin.prefab, "coin");
+  assert.equal(coin.value, 1);
+  assert.deepEqual(coin.spin, { speed: 2 });
+});
+
+test("inherited components are merged key by key, then spawn overrides on top", () => {
+  const engine = createEngine({ headless: true });
+  engine.definePrefab("character", {
+    health: { value: 100, max: 100 },
+    speed: 5,
+    tags: ["living"],
+  });
+  engine.definePrefab(
+    "orc",
+    { health: { max: 150 }, tags: ["enemy"], loot: "axe" },
+    { extends: "character" }
+  );
+
+  const orc = engine.spawn("orc", {
+    health: { value: 20 },
+    speed: undefined,
+  });
+
+  assert.deepEqual(orc.health, { value: 20, max: 150 });
+  assert.deepEqual(orc.tags, ["enemy"]);
+  assert.equal(orc.loot, "axe");
+  assert.equal("speed" in orc, false);
+  assert.equal(orc.prefab, "orc");
+});
+
+test("every spawned entity gets its own copy of the prefab's data", () => {
+  const engine = createEngine({ headless: true });
+  const target = engine.getWorld().add({ name: "target" });
+  engine.definePrefab("turret", {
+    stats: { ammo: [10, 10] },
+    aimOffset: new THREE.Vector3(0, 1, 0),
+    target,
+  });
+
+  const first = engine.spawn("turret");
+  const second = engine.spawn("turret");
+  first.stats.ammo[0] = 0;
+  first.aimOffset.y = 5;
+
+  assert.deepEqual(second.stats.ammo, [10, 10]);
+  assert.equal(second.aimOffset.y, 1);
+  // References to entities are shared, not copied
+  assert.equal(first.target, target);
+  assert.equal(second.target, target);
+});
+
+test("core components are rebuilt from plain data with their factories", () => {
+  const engine = createEngine({ headless: true });
+  engine.definePrefab("crate", {
+    transform: { position: [1, 2, 3], scale: { x: 2, y: 2, z: 2 } },
+    renderable: {
+      type: "procedural",
+      geometry: { type: "box" },
+      material: { type: "standard" },
+    },
+  });
+
+  const crate = engine.spawn("crate", { transform: { position: [4, 5, 6] } });
+
+  assert.ok(crate.transform.position.isVector3);
+  assert.deepEqual(crate.transform.position.toArray(), [4, 5, 6]);
+  assert.deepEqual(crate.transform.scale.toArray(), [2, 2, 2]);
+  assert.ok(crate.transform.rotation.isQuaternion);
+  assert.equal(crate.renderable.needsMesh, true);
+});
+
+test("function prefabs receive the spawn overrides", () => {
+  const engine = createEngine({ headless: true });
+  engine.definePrefab("label", (overrides) => ({
+    text: `#${overrides.index}`,
+  }));
+
+  assert.equal(engine.spawn("label", { index: 3 }).text, "#3");
+});
+
+test("unknown prefabs, unknown parents and inheritance cycles are reported", () => {
+  const engine = createEngine({ headless: true });
+  engine.definePrefab("a", {}, { extends: "b" });
+  engine.definePrefab("b", {}, { extends: "a" });
+  engine.definePrefab("orphan", {}, { extends: "missing" });
+
+  assert.throws(() => engine.spawn("ghost"), /Unknown prefab 'ghost'/);
+  assert.throws(
+    () => engine.spawn("orphan"),
+    /Prefab 'orphan' extends unknown prefab 'missing'/
+  );
+  assert.throws(() => engine.spawn("a"), /inheritance cycle: a → b → a/);
+  assert.throws(() => engine.definePrefab("a", {}), /already defined/);
+  assert.throws(() => engine.definePrefab("bad", 42), /must be defined with/);
+});
+
+test("JSON prefab assets are loaded through the asset manager and can extend other prefabs", async () => {
+  const boss = {
+    extends: "character",
+    components: { health: { max: 500 }, title: "Boss" },
+  };
+  const sim = createEngine({ headless: true });
+  sim.definePrefab("character", { health: { value: 100, max: 100 } });
+  sim.definePrefab("boss", "prefabs/boss");
+  await sim.init({
+    loadingScreen: false,
+    assets: [
+      {
+        key: "prefabs/boss",
+        url: `data:application/json,${encodeURIComponent(JSON.stringify(boss))}`,
+        type: "json",
+      },
+    ],
+  });
+
+  const entity = sim.spawn("boss");
+
+  assert.deepEqual(entity.health, { value: 100, max: 500 });
+  assert.equal(entity.title, "Boss");
+  sim.dispose();
+});
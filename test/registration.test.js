@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine } from "../src/index.js";
+
+test("a resource whose factory fails after init() is not kept and can be registered again", async () => {
+  const sim = createEngine({ headless: true });
+  await sim.init();
+
+  await assert.rejects(
+    sim.registerResource("minimap", () => {
+      throw new Error("no canvas");
+    }),
+    /no canvas/
+  );
+  assert.throws(() => sim.getResource("minimap"));
+
+  await sim.registerResource("minimap", () => ({ zoom: 2 }));
+  assert.equal(sim.getResource("minimap").zoom, 2);
+  sim.dispose();
+});
+
+test("a setup system that fails after init() is not kept and can be registered again", async () => {
+  const sim = createEngine({ headless: true });
+  await sim.init();
+
+  await assert.rejects(
+    sim.registerSetup("load-level", {
+      provides: ["level"],
+      init: () => {
+        throw new Error("missing level data");
+      },
+    }),
+    /Setup system 'load-level' failed: missing level data/
+  );
+  assert.equal(
+    sim.setupSystems.some((setup) => setup.name === "load-level"),
+    false
+  );
+
+  await sim.registerSetup("load-level", {
+    provides: ["level"],
+    init: (world, dependencies, config, engine) =>
+      engine.addResource("level", { name: "forest" }),
+  });
+  assert.equal(sim.getResource("level").name, "forest");
+  sim.dispose();
+});
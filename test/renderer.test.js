@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createEngine } from "../src/index.js";
+
+test("disposing the engine frees the texture maps of meshes left in the scene", async () => {
+  const sim = createEngine({ headless: true });
+  await sim.init();
+
+  const map = new THREE.Texture();
+  const normalMap = new THREE.Texture();
+  const environment = new THREE.Texture();
+  const disposed = [];
+  for (const texture of [map, normalMap, environment]) {
+    texture.addEventListener("dispose", () => disposed.push(texture));
+  }
+  const { scene } = sim.getResource("renderer");
+  scene.add(
+    new THREE.Mesh(
+      new THREE.BoxGeometry(),
+      new THREE.MeshStandardMaterial({ map, normalMap })
+    )
+  );
+  scene.environment = environment;
+
+  sim.dispose();
+
+  assert.equal(disposed.length, 3);
+  assert.ok(disposed.includes(map));
+  assert.ok(disposed.includes(normalMap));
+  assert.ok(disposed.includes(environment));
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine } from "../src/index.js";
+
+/**
+ * Creates a headless engine with a runtime system that throws whenever `failing.now` is set.
+ * @param {Object} [options] - Options for `createEngine`.
+ * @returns {Promise<{sim: Object, failing: {now: boolean}, errors: Object[]}>} The initialized
+ *   engine, the switch that makes the system fail and the `system-error` events it emitted.
+ */
+async function createFailingEngine(options = {}) {
+  const sim = createEngine({ headless: true, ...options });
+  const failing = { now: true };
+  sim.registerSystem("flaky", {
+    update: () => {
+      if (failing.now) {
+        throw new Error("flaky failure");
+      }
+    },
+  });
+  await sim.init();
+  const errors = [];
+  sim.on("system-error", (event) => errors.push(event));
+  return { sim, failing, errors };
+}
+
+test("log-once reports a system once, across failure streaks, until it is re-enabled", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { sim, failing, errors } = await createFailingEngine();
+
+  sim.tick();
+  sim.tick();
+  failing.now = false;
+  sim.tick();
+  failing.now = true;
+  sim.tick();
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].action, "continue");
+
+  sim.setSystemEnabled("flaky", true);
+  sim.tick();
+  assert.equal(errors.length, 2);
+  sim.dispose();
+});
+
+test("clearHalt() restarts a loop halted by a failing system", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { sim, errors } = await createFailingEngine({
+    SYSTEM_ERRORS: { POLICY: "halt" },
+  });
+
+  sim.tick();
+  assert.equal(sim.halted, true);
+  assert.equal(errors[0].action, "halt");
+  const frame = sim.time.frame;
+  sim.tick();
+  assert.equal(sim.time.frame, frame);
+
+  sim.setSystemEnabled("flaky", false);
+  sim.clearHalt();
+  sim.tick();
+  assert.equal(sim.halted, false);
+  assert.equal(sim.time.frame, frame + 1);
+  sim.dispose();
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { World } from "miniplex";
+import { transformSyncSystem } from "../src/systems/transformSyncSystem.js";
+import {
+  createTransform,
+  markTransformChanged,
+} from "../src/components/transform.js";
+
+function addEntity(world, components = {}) {
+  return world.add({
+    transform: createTransform(),
+    renderable: { mesh: new THREE.Object3D() },
+    ...components,
+  });
+}
+
+test("transforms edited in place are synced to their meshes", () => {
+  const world = new World();
+  const entity = addEntity(world);
+  const mesh = entity.renderable.mesh;
+
+  entity.transform.position.set(1, 2, 3);
+  entity.transform.rotation.setFromAxisAngle(new THREE.Vector3(0, 1, 0), 1);
+  entity.transform.scale.setScalar(2);
+  transformSyncSystem(world);
+
+  assert.ok(mesh.position.equals(entity.transform.position));
+  assert.ok(mesh.quaternion.equals(entity.transform.rotation));
+  assert.ok(mesh.scale.equals(entity.transform.scale));
+});
+
+test("marked transforms are synced by version and skipped until it changes", () => {
+  const world = new World();
+  const entity = addEntity(world);
+  const mesh = entity.renderable.mesh;
+
+  entity.transform.position.x = 1;
+  markTransformChanged(entity.transform);
+  transformSyncSystem(world);
+  assert.equal(mesh.position.x, 1);
+  assert.equal(mesh.userData.transformVersion, entity.transform.version);
+
+  // A tracked transform is not compared by value any more
+  entity.transform.position.x = 2;
+  transformSyncSystem(world);
+  assert.equal(mesh.position.x, 1);
+
+  markTransformChanged(entity.transform);
+  transformSyncSystem(world);
+  assert.equal(mesh.position.x, 2);
+});
+
+test("static entities are placed, frozen once unchanged, and moved again only after markTransformChanged", () => {
+  const world = new World();
+  const entity = addEntity(world, { isStatic: true });
+  entity.transform.position.set(0, -1, 0);
+  const mesh = entity.renderable.mesh;
+
+  transformSyncSystem(world);
+  assert.equal(mesh.position.y, -1);
+  assert.equal(mesh.matrixAutoUpdate, true);
+
+  // Edits before the matrix is frozen are still picked up
+  entity.transform.position.y = -2;
+  transformSyncSystem(world);
+  assert.equal(mesh.position.y, -2);
+  assert.equal(mesh.matrixAutoUpdate, true);
+
+  transformSyncSystem(world);
+  assert.equal(mesh.matrixAutoUpdate, false);
+  assert.equal(mesh.matrix.elements[13], -2);
+
+  entity.transform.position.y = 5;
+  transformSyncSystem(world);
+  assert.equal(mesh.position.y, -2);
+
+  markTransformChanged(entity.transform);
+  transformSyncSystem(world);
+  assert.equal(mesh.position.y, 5);
+  assert.equal(mesh.matrixAutoUpdate, true);
+
+  transformSyncSystem(world);
+  assert.equal(mesh.matrixAutoUpdate, false);
+  assert.equal(mesh.matrix.elements[13], 5);
+});
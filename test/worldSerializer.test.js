@@ -0,0 +1,201 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createEngine, CoreComponents } from "../src/index.js";
+import {
+  createComponentSerializers,
+  deserializeWorld,
+} from "../src/worldSerializer.js";
+
+const { createTransform, createRenderableMetadata } = CoreComponents;
+
+async function createSim() {
+  const sim = createEngine({ headless: true });
+  await sim.init();
+  return sim;
+}
+
+test("saveWorld() and loadWorld() round-trip entities, ids, names and references", async () => {
+  const source = await createSim();
+  const world = source.getWorld();
+  const hero = world.add({
+    name: "hero",
+    transform: createTransform(
+      new THREE.Vector3(1, 2, 3),
+      new THREE.Quaternion(0, 0.6, 0, 0.8),
+      new THREE.Vector3(2, 2, 2)
+    ),
+    renderable: createRenderableMetadata(
+      "procedural",
+      { type: "box", width: 1, height: 2, depth: 1 },
+      { type: "standard", color: 0xff0000 }
+    ),
+    health: { value: 80, max: 100 },
+    tint: new THREE.Color(0x00ff00),
+  });
+  world.add({ name: "pet", follows: hero, inventory: ["bone", 3, true] });
+  world.add({ name: "terrain", excludeFromSave: true });
+  source.tick(); // Builds the hero's mesh, which must not be saved
+  assert.ok(hero.renderable.mesh);
+
+  const save = source.saveWorld();
+  const target = await createSim();
+  const loadedEvents = [];
+  target.on("world-loaded", (event) => loadedEvents.push(event));
+  const entities = target.loadWorld(save);
+
+  assert.equal(entities.length, 2);
+  assert.equal(loadedEvents.length, 1);
+  const loadedHero = target.findEntityByName("hero");
+  const loadedPet = target.findEntityByName("pet");
+  assert.equal(loadedHero.id, hero.id);
+  assert.equal(target.findEntityById(hero.id), loadedHero);
+  assert.equal(loadedPet.follows, loadedHero);
+  assert.deepEqual(loadedPet.inventory, ["bone", 3, true]);
+  assert.deepEqual(loadedHero.health, { value: 80, max: 100 });
+  assert.ok(loadedHero.tint.isColor);
+  assert.equal(loadedHero.tint.getHex(), 0x00ff00);
+  assert.ok(loadedHero.transform.position.equals(hero.transform.position));
+  assert.ok(loadedHero.transform.rotation.equals(hero.transform.rotation));
+  assert.ok(loadedHero.transform.scale.equals(hero.transform.scale));
+  assert.equal(loadedHero.renderable.mesh, undefined);
+  assert.equal(loadedHero.renderable.needsMesh, true);
+  assert.deepEqual(loadedHero.renderable.geometry, hero.renderable.geometry);
+  assert.equal(target.findEntityByName("terrain"), undefined);
+
+  // Meshes are rebuilt on the next frame
+  target.tick();
+  assert.ok(loadedHero.renderable.mesh);
+
+  source.dispose();
+  target.dispose();
+});
+
+test("loadWorld() replaces saved entities and keeps excluded ones", async () => {
+  const sim = await createSim();
+  const world = sim.getWorld();
+  const terrain = world.add({ name: "terrain", excludeFromSave: true });
+  world.add({ name: "coin", value: 1 });
+  const save = sim.saveWorld();
+
+  world.add({ name: "coin", value: 2 });
+  sim.loadWorld(save);
+
+  assert.deepEqual(
+    sim.findEntitiesByName("coin").map((coin) => coin.value),
+    [1]
+  );
+  assert.equal(sim.findEntityByName("terrain"), terrain);
+  sim.dispose();
+});
+
+test("loadWorld() resolves references only to restored and excluded entities", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const sim = await createSim();
+  const world = sim.getWorld();
+  const terrain = world.add({ name: "terrain", excludeFromSave: true });
+  // Live and not excluded, so it is replaced by the load
+  const oldCoin = world.add({ name: "coin" });
+
+  const [pet, rock] = sim.loadWorld({
+    format: "roseblox-world",
+    version: 1,
+    entities: [
+      {
+        id: 100,
+        name: "pet",
+        follows: { $entity: oldCoin.id },
+        standsOn: { $entity: terrain.id },
+      },
+      { id: oldCoin.id, name: "rock" },
+    ],
+  });
+
+  // The saved id now belongs to the restored rock, not to the removed coin
+  assert.equal(pet.follows, rock);
+  assert.equal(pet.standsOn, terrain);
+  assert.equal(sim.findEntityById(oldCoin.id), rock);
+
+  const [orphan] = sim.loadWorld({
+    format: "roseblox-world",
+    version: 1,
+    entities: [{ id: 200, follows: { $entity: rock.id } }],
+  });
+  assert.equal(orphan.follows, null);
+  assert.match(
+    console.warn.mock.calls.at(-1).arguments[0],
+    new RegExp(`references missing entity ${rock.id}`)
+  );
+  sim.dispose();
+});
+
+test("registered serializers save and restore their components", async () => {
+  const sim = await createSim();
+  sim.registerComponentSerializer("timer", {
+    serialize: (timer) => ({ remaining: timer.endsAt - 100 }),
+    deserialize: (data) => ({ endsAt: 100 + data.remaining, restored: true }),
+  });
+  sim.registerComponentSerializer("audioSource", null);
+  sim.getWorld().add({
+    name: "bomb",
+    timer: { endsAt: 130 },
+    audioSource: new Map(),
+  });
+
+  const save = JSON.parse(sim.saveWorld());
+  assert.deepEqual(save.entities[0].timer, { remaining: 30 });
+  assert.equal("audioSource" in save.entities[0], false);
+
+  sim.loadWorld(save);
+  assert.deepEqual(sim.findEntityByName("bomb").timer, {
+    endsAt: 130,
+    restored: true,
+  });
+  sim.dispose();
+});
+
+test("saving a component that is not plain data names the component and entity", async () => {
+  const sim = await createSim();
+  const entity = sim.getWorld().add({ lookup: new Map() });
+
+  assert.throws(
+    () => sim.saveWorld(),
+    new RegExp(
+      `Cannot save component 'lookup' of entity ${entity.id}: Map is not plain data`
+    )
+  );
+  sim.dispose();
+});
+
+test("invalid or newer save data is rejected and leaves the world untouched", async () => {
+  const sim = await createSim();
+  sim.getWorld().add({ name: "keeper" });
+
+  assert.throws(
+    () => sim.loadWorld({ format: "other", entities: [] }),
+    /not a Roseblox world save/
+  );
+  assert.throws(
+    () => sim.loadWorld({ format: "roseblox-world", version: 99, entities: [] }),
+    /format version 99 is not supported/
+  );
+  assert.ok(sim.findEntityByName("keeper"));
+  sim.dispose();
+});
+
+test("references to entities outside the save resolve through the lookup", () => {
+  const serializers = createComponentSerializers();
+  const outside = { id: "terrain" };
+  const data = {
+    format: "roseblox-world",
+    version: 1,
+    entities: [{ id: 5, standsOn: { $entity: "terrain" } }],
+  };
+
+  const [entity] = deserializeWorld(data, serializers, (id) =>
+    id === "terrain" ? outside : undefined
+  );
+
+  assert.equal(entity.id, 5);
+  assert.equal(entity.standsOn, outside);
+});